@@ -0,0 +1,184 @@
+const shortid = require('shortid');
+
+/**
+ * The chat class handles messages sent between
+ * the players and spectators of a room.
+ */
+class Chat {
+    /**
+     * Create a new chat
+     * @param {Room} room The room the chat belongs to
+     * @param {object} options Limits for the chat
+     */
+    constructor(room, options) {
+        this.room = room;
+        this.options = Object.assign({
+            historyLimit: 100,
+            maxLength: 500,
+            // Each player can send rateLimit messages every rateInterval milliseconds
+            rateLimit: 5,
+            rateInterval: 5000
+        }, options);
+
+        this.history = [];
+        // Muted player IDs mapped to when the mute ends, null for never
+        this.muted = {};
+        this.locked = false;
+        this.lockedExcept = [];
+        this.sent = {};
+
+        // An optional word filter, returns the cleaned text or false to block the message
+        this.filter = null;
+    }
+
+    /**
+     * Check a player is allowed to send a message right now
+     * @param {string} player_id
+     * @returns {string|null} The reason the player can't chat
+     */
+    checkSender(player_id) {
+        if(this.isMuted(player_id)) {
+            return 'You are muted.';
+        }
+        if(this.locked && !this.lockedExcept.some(id => id == player_id)) {
+            return 'Chat is locked.';
+        }
+
+        // Forget messages older than the rate interval
+        const now = Date.now();
+        const sent = (this.sent[player_id] || []).filter(t => now - t < this.options.rateInterval);
+        this.sent[player_id] = sent;
+        if(sent.length >= this.options.rateLimit) {
+            return 'You are sending messages too quickly.';
+        }
+
+        return null;
+    }
+
+    /**
+     * Send a message to the room
+     * @param {Player} player The player sending the message
+     * @param {string} text
+     */
+    send(player, text) {
+        const member = this.room.players.find(p => p._id == player._id) || this.room.findSpectator(player._id);
+        if(!member) {
+            return Promise.reject('Not in room.');
+        }
+        if(typeof text !== 'string' || text.trim().length === 0) {
+            return Promise.reject('Message is empty.');
+        }
+        if(text.length > this.options.maxLength) {
+            return Promise.reject(`Message is longer than ${this.options.maxLength} characters.`);
+        }
+
+        const denied = this.checkSender(player._id);
+        if(denied) {
+            return Promise.reject(denied);
+        }
+        this.sent[player._id].push(Date.now());
+
+        return Promise.resolve(this.filter ? this.filter(text, member) : text)
+            .then(filtered => {
+                if(!filtered) {
+                    return Promise.reject('Message was blocked.');
+                }
+
+                const message = {
+                    id: shortid.generate(),
+                    player_id: member._id,
+                    username: member.username,
+                    text: filtered,
+                    sent_at: Date.now()
+                };
+                this.history.push(message);
+                if(this.history.length > this.options.historyLimit) {
+                    this.history.shift();
+                }
+
+                this.room.broadcast('room/chat', { message });
+
+                return message;
+            });
+    }
+
+    /**
+     * Check whether a player is muted
+     * @param {string} player_id
+     * @returns {boolean}
+     */
+    isMuted(player_id) {
+        if(!(player_id in this.muted)) {
+            return false;
+        }
+
+        const until = this.muted[player_id];
+        if(until !== null && until <= Date.now()) {
+            delete this.muted[player_id];
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Stop a player from sending messages
+     * @param {string} player_id
+     * @param {int} duration Milliseconds to mute for, until unmuted when not given
+     */
+    mute(player_id, duration = null) {
+        this.muted[player_id] = duration ? Date.now() + duration : null;
+
+        this.room.broadcast('room/chat_mute', { player_id, until: this.muted[player_id] });
+    }
+
+    /**
+     * Let a muted player send messages again
+     * @param {string} player_id
+     */
+    unmute(player_id) {
+        delete this.muted[player_id];
+
+        this.room.broadcast('room/chat_unmute', { player_id });
+    }
+
+    /**
+     * Mute a player and remove their messages from the history
+     * @param {string} player_id
+     */
+    kick(player_id) {
+        this.mute(player_id);
+        this.history = this.history.filter(m => m.player_id != player_id);
+
+        this.room.broadcast('room/chat_kick', { player_id });
+    }
+
+    /**
+     * Stop players chatting, i.e. while they guess during a turn
+     * @param {array} except Player IDs who can still chat
+     */
+    lock(except = []) {
+        this.locked = true;
+        this.lockedExcept = except;
+
+        this.room.broadcast('room/chat_lock', { locked: true, except });
+    }
+
+    unlock() {
+        this.locked = false;
+        this.lockedExcept = [];
+
+        this.room.broadcast('room/chat_lock', { locked: false, except: [] });
+    }
+
+    toJSON() {
+        return {
+            history: this.history,
+            muted: this.muted,
+            locked: this.locked,
+            lockedExcept: this.lockedExcept
+        };
+    }
+}
+
+module.exports = Chat;
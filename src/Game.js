@@ -1,8 +1,56 @@
 const EventEmitter = require('events');
 
 const Player = require('./Player');
-const { PLAYER_ORDER } = require('./constants');
+const { Logger } = require('./logging');
+const Poll = require('./Poll');
+const { PLAYER_ORDER, TURN_MODE, READY_TIMEOUT, DISCONNECT_ACTION, MOVE_ERROR } = require('./constants');
+const canSee = require('./helpers/canSee');
+const createRandom = require('./helpers/random');
 const shuffle = require('./helpers/shuffle');
+const validateMove = require('./helpers/validateMove');
+
+const { moveError } = validateMove;
+
+/**
+ * Make visibility rules JSON-safe. Rules given as functions can't be
+ * stored, so they are kept as null for restore() to set up again.
+ * @param {object} visibility Rules keyed by field name
+ * @returns {object}
+ */
+const storeVisibility = (visibility = {}) => {
+    const stored = {};
+    Object.keys(visibility).forEach(field => {
+        stored[field] = typeof visibility[field] === 'function' ? null : visibility[field];
+    });
+
+    return stored;
+};
+
+/**
+ * Find the rule to restore for a field. Function rules come back from the
+ * game as it was, i.e. on undo, otherwise the field is hidden from everyone
+ * else until the game's restoreVisibility() sets the rule up again.
+ * @param {array|null} stored The rule from storeVisibility
+ * @param {array|function} current The rule the game has now
+ * @returns {array|function}
+ */
+const loadVisibility = (stored, current) => {
+    if(stored !== null) {
+        return stored;
+    }
+
+    return typeof current === 'function' ? current : [];
+};
+
+/**
+ * The type of a move for the logs, which leave out what was sent
+ * @param {object} move
+ * @returns {string|null}
+ */
+const moveType = move => move && typeof move === 'object' && move.type !== undefined ? move.type : null;
+
+// Errors that have been through Game#handleError
+const handledErrors = new WeakSet();
 
 /**
  * The game class is extended to create the server-side process
@@ -21,27 +69,206 @@ class Game extends EventEmitter {
         this.room = room;
 
         this.name = gameObj.name;
+        this.logger = room.logger ? room.logger.child({ game: this.name }) : Logger.createDefault();
         this.players = [];
+        this.teams = [];
         this.settings = {
             readyUp: true,
-            resultsTimeout: 10000
+            resultsTimeout: 10000,
+            turnMode: TURN_MODE.SEQUENTIAL,
+            // Time limits in milliseconds, null for no limit
+            turnTimeLimit: null,
+            readyUpTimeLimit: null,
+            readyUpTimeoutAction: READY_TIMEOUT.READY,
+            disconnectAction: DISCONNECT_ACTION.SKIP,
+            // Milliseconds a bot waits before it moves
+            botMoveDelay: 1000,
+            // Let players take back their last move, with the
+            // other players' consent when undoConsent is set
+            undo: false,
+            undoConsent: false,
+            undoLimit: 10,
+            // Times a hook that fails is called again before the game gives up
+            errorRetries: 0,
+            // Go back to the start of the turn when a hook fails
+            rollbackOnError: false,
+            // Failures the game can recover from before the room steps in
+            errorLimit: 3
         };
         this.started = false;
+        // Destroyed games don't start turns, timers or moves again
+        this.destroyed = false;
         this.moves = [];
+        // What else changed the course of the game between moves, i.e. turns that
+        // timed out, so that replays can follow it. See recordEvent.
+        this.events = [];
         this.round = { number: 0 };
         this.turn = { number: 0 };
         this.maxRounds = null;
         this.playerOrder = room.players.map(p => p._id);
+        this.timer = null;
+        this.timeout = null;
+        // Players who have dropped but whose seat is held by the room
+        this.disconnected = [];
+        this.paused = false;
+        // Players whose move is still being handled by the game
+        this.pendingMoves = [];
+
+        // Every random draw in the game comes from one seeded generator
+        // so that games can be replayed from their seed and moves
+        this.random = createRandom(gameObj.seed);
+        this.seed = this.random.seed;
+        // Bots choose their moves from their own generator, so replays
+        // of the move log make the same draws as the game did
+        this.botRandom = createRandom();
+        this.botTimeouts = [];
+
+        // Schemas for each type of move, checked before handleMove.
+        // Games without move types validate moves themselves.
+        // Move types with hidden: true are only shown to the player who made them.
+        this.moveTypes = null;
+
+        // Settings players can change before they ready up, keyed by setting name,
+        // i.e. { rounds: { type: 'integer', default: 3, min: 1, max: 10, editableBy: 'host' } }
+        // editableBy is 'host', 'all', an array of player IDs or a function of the player ID
+        this.settingsSchema = null;
+
+        // Game fields hidden from players, keyed by field name
+        this.visibility = {};
+
+        // The state before each recent move, for undo
+        this.undoHistory = [];
+        this.redoMoves = [];
+        this.undoRequest = null;
+
+        // Named phases of a round, i.e. deal, bid, play and score, each with
+        // enter and exit hooks, the move types allowed and the next phases.
+        // The game starts in the first phase. Games without phases only use rounds and turns.
+        this.phases = null;
+        this.phase = null;
+
+        // Polls still open to votes
+        this.polls = [];
+
+        // The state at the start of the turn, kept with rollbackOnError
+        this.checkpoint = null;
+        this.errorCount = 0;
     }
 
     /**
      * Broadcast a complete update to all players
      * @param {string} event
+     * @returns {Promise}
      */
     broadcastUpdate(event = 'game/update') {
-        this.room.broadcast_secret(event, socket => ({
-            game: this.toJSONForPlayer(socket.user._id.toString())
+        return this.broadcastSecret(event, socket => {
+            const id = socket.user._id.toString();
+
+            return {
+                game: this.findPlayer(id) ? this.toJSONForPlayer(id) : this.toJSONForSpectator()
+            };
+        });
+    }
+
+    /**
+     * Send each socket in the room its own payload. The room looks its sockets up
+     * before sending, a failure then is logged as nothing waits on the broadcast.
+     * @param {string} event
+     * @param {function} cb Makes the payload for a socket
+     * @returns {Promise}
+     */
+    broadcastSecret(event, cb) {
+        let sent;
+        try {
+            sent = this.room.broadcast_secret(event, cb);
+        } catch(err) {
+            sent = Promise.reject(err);
+        }
+
+        return Promise.resolve(sent)
+            .catch(error => {
+                this.logger.error('broadcast_failed', { broadcast: event, error });
+            });
+    }
+
+    /**
+     * Send an event to one player only
+     * @param {string} player_id
+     * @param {string} event
+     * @param {object} payload
+     */
+    sendToPlayer(player_id, event, payload) {
+        return this.room.find_socket(player_id.toString())
+            .then(socket => {
+                this.room.send(socket, event, payload);
+            });
+    }
+
+    /**
+     * Stop players chatting in the room, i.e. while they guess
+     * @param {array} except Player IDs who can still chat
+     */
+    lockChat(except = []) {
+        if(this.room.chat) {
+            this.room.chat.lock(except);
+        }
+    }
+
+    unlockChat() {
+        if(this.room.chat && this.room.chat.locked) {
+            this.room.chat.unlock();
+        }
+    }
+
+    /**
+     * Hide a field of the game's JSON from players, i.e. the secret word
+     * @param {string} field
+     * @param {array|function} visibleTo Player IDs allowed to see it, or a function of the player ID
+     */
+    setVisibility(field, visibleTo = []) {
+        this.visibility[field] = visibleTo;
+    }
+
+    /**
+     * Ask the players to vote, i.e. for the funniest answer.
+     * Every player but bots can vote unless voters are given.
+     * @param {object} options See Poll
+     * @returns {Poll} Wait for poll.promise for the result
+     */
+    createPoll(options) {
+        const poll = new Poll(this.room, Object.assign({
+            voters: this.players.filter(p => !p.bot).map(p => p._id)
+        }, options, {
+            prefix: 'game',
+            // Ties are broken from the seed, so replays break them the same way.
+            // The game's random numbers are replaced when it is restored.
+            random: { pick: items => this.random.pick(items) }
         }));
+        this.polls.push(poll);
+        poll.on('end', () => {
+            // A poll closed by its last voter leaving closes with the leave in a replay
+            if(poll.voters.length > 0) {
+                this.recordEvent('poll', { poll: this.polls.indexOf(poll), votes: poll.votes });
+            }
+            this.polls = this.polls.filter(p => p !== poll);
+        });
+
+        return poll.open();
+    }
+
+    /**
+     * Vote in one of the game's polls
+     * @param {string} poll_id
+     * @param {string} player_id
+     * @param {string} option The ID of the option
+     */
+    vote(poll_id, player_id, option) {
+        const poll = this.polls.find(p => p.id === poll_id);
+        if(!poll) {
+            return Promise.reject('Poll has closed.');
+        }
+
+        return poll.vote(player_id, option);
     }
 
     /**
@@ -52,6 +279,47 @@ class Game extends EventEmitter {
         return this.players.find(p => p._id == id);
     }
 
+    /**
+     * Find the team a player is on
+     * @param {string} player_id The UUID of the player
+     */
+    findTeam(player_id) {
+        return this.teams.find(t => t.players.some(id => id == player_id));
+    }
+
+    /**
+     * Start a countdown, replacing any running timer
+     * @param {string} type What the timer is counting down, i.e. 'turn'
+     * @param {int} duration Milliseconds until the timer expires
+     * @param {function} onExpire Called when the deadline passes
+     */
+    startTimer(type, duration, onExpire) {
+        this.clearTimer();
+        if(this.destroyed) {
+            return;
+        }
+
+        this.timer = { type, deadline: Date.now() + duration };
+        this.timeout = setTimeout(() => {
+            this.timer = null;
+            this.timeout = null;
+            onExpire();
+        }, duration);
+
+        this.room.broadcast('game/timer', { timer: this.timer });
+    }
+
+    /**
+     * Stop the running timer, if there is one
+     */
+    clearTimer() {
+        if(this.timeout) {
+            clearTimeout(this.timeout);
+        }
+        this.timer = null;
+        this.timeout = null;
+    }
+
     /**
      * Create a base game player
      * @param {object} player The player object from the room
@@ -61,34 +329,136 @@ class Game extends EventEmitter {
         return new Player(player);
     }
 
+    /**
+     * Create a game player that draws from the game's generator
+     * @param {object} player The player object from the room
+     * @returns {Player}
+     */
+    initPlayer(player) {
+        const gamePlayer = this.createPlayer(player);
+        if(gamePlayer.setRandom) {
+            gamePlayer.setRandom(this.random);
+        }
+
+        return gamePlayer;
+    }
+
     init() {
         // Take players from the room and create our own player list
-        this.players = this.room.players.map(p => this.createPlayer(p));
+        this.players = this.room.players.map(p => this.initPlayer(p));
+        // Bots don't need to be told to ready up
+        this.players.filter(p => p.bot).forEach(p => { p.ready = true; });
+        // Take the teams picked in the room lobby
+        this.teams = (this.room.teams || []).map(t => ({
+            id: t.id,
+            name: t.name,
+            players: t.players.filter(id => this.findPlayer(id))
+        }));
 
         // Boot the game up!
         if(this.setup) {
-            const gameSetup = this.setup();
+            let gameSetup;
+            try {
+                gameSetup = this.setup();
+            } catch(err) {
+                return this.handleError(err, 'setup');
+            }
 
             const executeSetup = settings => {
-                this.settings = Object.assign({}, this.settings, settings);
+                this.settings = Object.assign({}, this.settings, this.settingDefaults(), settings);
                 // Send initial game object to clients, with
                 // settings to change and then ready up
                 this.broadcastUpdate('game/init');
                 if(settings.readyUp === false) {
                     // If the game does not require players
                     // to ready up, start the game.
-                    this.start();
+                    this.detach(this.start());
+                } else if(!this.startWhenReady() && this.settings.readyUpTimeLimit) {
+                    this.startTimer('readyUp', this.settings.readyUpTimeLimit, () => this.handleReadyUpTimeout());
                 }
             };
 
             if(typeof gameSetup.then != 'undefined') {
-                gameSetup.then(executeSetup);
+                gameSetup.then(executeSetup, err => this.handleError(err, 'setup'));
             } else {
                 executeSetup(gameSetup);
             }
         } else {
-            this.start();
+            this.detach(this.start());
+        }
+    }
+
+    /**
+     * The default value of each setting in the settings schema
+     * @returns {object}
+     */
+    settingDefaults() {
+        const defaults = {};
+        Object.keys(this.settingsSchema || {}).forEach(name => {
+            if(this.settingsSchema[name].default !== undefined) {
+                defaults[name] = this.settingsSchema[name].default;
+            }
+        });
+
+        return defaults;
+    }
+
+    /**
+     * Check whether a player can change a setting
+     * @param {string} player_id
+     * @param {string} name
+     * @returns {boolean}
+     */
+    canEditSetting(player_id, name) {
+        const editableBy = this.settingsSchema[name].editableBy || 'host';
+
+        if(editableBy === 'host') {
+            return !!this.room.isHost && this.room.isHost(player_id);
+        }
+        if(editableBy === 'all') {
+            return !!this.findPlayer(player_id);
+        }
+
+        return canSee(editableBy, player_id);
+    }
+
+    /**
+     * Change a setting before the game starts. Everyone has
+     * to ready up again with the new settings.
+     * @param {string} player_id The player changing the setting
+     * @param {string} name
+     * @param {*} value
+     */
+    updateSetting(player_id, name, value) {
+        if(this.started) {
+            return Promise.reject('Game has already started.');
+        }
+        if(!this.settingsSchema || !Object.prototype.hasOwnProperty.call(this.settingsSchema, name)) {
+            return Promise.reject(`Unknown setting: ${name}.`);
         }
+        if(!this.canEditSetting(player_id, name)) {
+            return Promise.reject('You can\'t change that setting.');
+        }
+
+        const player = this.findPlayer(player_id);
+        const error = validateMove.validateField(name, this.settingsSchema[name], value, { [name]: value }, player);
+        if(error) {
+            return Promise.reject(error);
+        }
+
+        this.settings[name] = value;
+
+        // Ready ups were for the old settings
+        this.players.forEach(p => {
+            p.ready = false;
+        });
+        if(this.settings.readyUpTimeLimit) {
+            this.startTimer('readyUp', this.settings.readyUpTimeLimit, () => this.handleReadyUpTimeout());
+        }
+
+        this.room.broadcast('game/update_setting', { player_id, name, value, settings: this.settings });
+
+        return Promise.resolve(this.settings);
     }
 
     /**
@@ -103,8 +473,24 @@ class Game extends EventEmitter {
             switch(order) {
                 case PLAYER_ORDER.RANDOM:
                     // Randomize player order
-                    this.playerOrder = shuffle(this.players);
+                    this.playerOrder = shuffle(this.players, this.random.next);
+                    break;
+                case PLAYER_ORDER.TEAMS: {
+                    // Take the first player of each team, then the second...
+                    // Players without a team go last
+                    const teams = this.teams.map(t => t.players.map(id => this.findPlayer(id)));
+                    const longest = Math.max(0, ...teams.map(t => t.length));
+                    this.playerOrder = [];
+                    for(let i = 0; i < longest; i++) {
+                        teams.forEach(t => {
+                            if(t[i]) {
+                                this.playerOrder.push(t[i]);
+                            }
+                        });
+                    }
+                    this.playerOrder = this.playerOrder.concat(this.players.filter(p => !this.findTeam(p._id)));
                     break;
+                }
                 default:
                     // TODO: Should be sorted by p.joined_at
                     this.playerOrder = this.players;
@@ -138,21 +524,32 @@ class Game extends EventEmitter {
             player.ready = true;
 
             this.room.broadcast('game/player_ready', { player_id });
-            
-            // If all the players are ready, start the game
-            if(this.players.filter(p => !p.ready).length === 0) {
-                this.start();
-            }
+            this.startWhenReady();
         }
 
         if(this.handleReadyUp) {
-            const handle = this.handleReadyUp(player_id, payload);
+            let handle;
+            try {
+                handle = this.handleReadyUp(player_id, payload);
+            } catch(err) {
+                this.handleError(err, 'handleReadyUp');
+                return false;
+            }
             if(typeof handle.then != 'undefined') {
-                return handle.then(payload => {
-                    executeReady();
+                return handle
+                    .catch(reason => {
+                        if(reason instanceof Error) {
+                            this.handleError(reason, 'handleReadyUp');
+                            return Promise.reject('Something went wrong, try again.');
+                        }
 
-                    return payload;
-                });
+                        return Promise.reject(reason);
+                    })
+                    .then(payload => {
+                        executeReady();
+
+                        return payload;
+                    });
             } else if(handle) {
                 executeReady();
             }
@@ -165,10 +562,156 @@ class Game extends EventEmitter {
         }
     }
 
+    /**
+     * Start the game if every player has readied up
+     * @returns {boolean} Returns whether the game was started
+     */
+    startWhenReady() {
+        if(this.started || this.players.some(p => !p.ready)) {
+            return false;
+        }
+
+        this.detach(this.start());
+        return true;
+    }
+
+    /**
+     * Called when players have not readied up before the deadline.
+     * Idle players are either readied up or removed from the game.
+     */
+    handleReadyUpTimeout() {
+        if(this.started === true || this.destroyed) {
+            return;
+        }
+
+        const idle = this.players.filter(p => !p.ready);
+        if(this.settings.readyUpTimeoutAction === READY_TIMEOUT.KICK) {
+            this.players = this.players.filter(p => p.ready);
+            this.playerOrder = this.playerOrder.filter(id => this.findPlayer(id));
+            idle.forEach(p => this.room.broadcast('game/player_kicked', { player_id: p._id }));
+
+            if(this.tooFewPlayers()) {
+                return this.destroy();
+            }
+        } else {
+            idle.forEach(p => {
+                p.ready = true;
+                this.room.broadcast('game/player_ready', { player_id: p._id });
+            });
+        }
+
+        this.detach(this.start());
+    }
+
+    /**
+     * Check whether the game has too few players left to be played
+     * @returns {boolean}
+     */
+    tooFewPlayers() {
+        return this.players.length === 0
+            || (!!this.gameObj.min_players && this.players.length < this.gameObj.min_players);
+    }
+
     start() {
+        this.clearTimer();
         this.started = true;
+        // Remember who started the game for replays
+        this.startingPlayers = this.players.map(p => ({ _id: p._id, username: p.username }));
+        this.logger.info('game_start', { players: this.players.map(p => p._id), seed: this.seed });
+
+        if(this.phases) {
+            // Enter the first phase before the first turn
+            return this.enterPhase(Object.keys(this.phases)[0])
+                .then(() => this.startRound(1));
+        }
+
+        return this.startRound(1);
+    }
+
+    /**
+     * Exit the current phase and enter another one
+     * @param {string} name
+     * @param {object} payload Passed to the exit and enter hooks
+     */
+    enterPhase(name, payload) {
+        const previous = this.phase;
+        const current = previous ? this.phases[previous] : null;
+        const phase = this.phases[name];
+
+        return this.runHook(`${previous}.exit`, () => current && current.exit ? current.exit.call(this, payload) : null)
+            .then(() => {
+                this.phase = name;
+
+                return this.runHook(`${name}.enter`, () => phase.enter ? phase.enter.call(this, payload) : null);
+            })
+            .then(() => {
+                this.room.broadcast('game/phase', {
+                    phase: name,
+                    previous,
+                    round: this.round,
+                    turn: this.turn
+                });
+                this.emit('phase', name, previous);
+            });
+    }
+
+    /**
+     * The phases the current phase can move on to
+     * @returns {array}
+     */
+    phaseTransitions() {
+        const next = this.phase ? this.phases[this.phase].next : null;
+        if(!next) {
+            return [];
+        }
+
+        return Array.isArray(next) ? next : [next];
+    }
+
+    /**
+     * Move on from the current phase. Phases with newRound
+     * set start the next round when they are entered.
+     * @param {string} name The phase to go to, the first of the current phase's next when not given
+     * @param {object} payload Passed to the exit and enter hooks
+     */
+    nextPhase(name, payload) {
+        if(!this.phases || !this.started || this.endResults) {
+            return Promise.reject('Game is not in a phase.');
+        }
+
+        const transitions = this.phaseTransitions();
+        name = name || transitions[0];
+        if(!this.phases[name]) {
+            return Promise.reject(`Unknown phase: ${name}.`);
+        }
+        if(!transitions.includes(name)) {
+            return Promise.reject(`Can't go from ${this.phase} to ${name}.`);
+        }
 
-        this.startRound(1);
+        return this.enterPhase(name, payload)
+            .then(() => {
+                if(this.phases[name].newRound) {
+                    return this.nextRound();
+                }
+            });
+    }
+
+    /**
+     * Check a move is allowed in the current phase
+     * @param {object} move
+     * @returns {object|null} A { code, field, message } error or null if the move is allowed
+     */
+    validatePhaseMove(move) {
+        const phase = this.phases && this.phase ? this.phases[this.phase] : null;
+        if(!phase || !phase.moves || (move && phase.moves.includes(move.type))) {
+            return null;
+        }
+
+        return {
+            code: MOVE_ERROR.WRONG_PHASE,
+            field: 'type',
+            message: `Only ${phase.moves.join(', ')} moves are allowed during ${this.phase}.`
+        };
     }
 
     startRound(round) {
@@ -177,10 +720,11 @@ class Game extends EventEmitter {
         
         if(this.handleRoundStart) {
             // Allow the game to add custom fields to the round
-            return this.handleRoundStart(this.round)
+            return this.runHook('handleRoundStart', () => this.handleRoundStart(this.round))
                 .then(round => {
                     this.round = round;
-                    this.startTurn(1);
+
+                    return this.startTurn(1);
                 });
         } else {
             return this.startTurn(1);
@@ -200,142 +744,1096 @@ class Game extends EventEmitter {
         };
 
         if(this.handleRoundEnd) {
-            return this.handleRoundEnd(this.round)
-                // Start next round
-                .then(() => executeNextRound())
-                // Restart the round
-                .catch(() => this.startRound(this.round.number));
+            return this.runHook('handleRoundEnd', () => this.handleRoundEnd(this.round))
+                .then(
+                    // Start next round
+                    () => executeNextRound(),
+                    // Restart the round, unless the hook failed
+                    reason => reason instanceof Error ? Promise.reject(reason) : this.startRound(this.round.number)
+                );
         } else {
             return executeNextRound();
         }
     }
 
     startTurn(turn) {
-        // Starts the given turn
-        const player = this.findPlayer(this.playerOrder[turn - 1]);
-        if(!player) {
-            return this.nextTurn(true);
+        if(this.destroyed) {
+            return;
         }
 
-        this.turn = { number: turn, player_id: player._id };
+        // Starts the given turn
+        // Disconnected players lose their turns unless everyone has gone
+        const skip = this.settings.disconnectAction === DISCONNECT_ACTION.SKIP
+            && !this.players.every(p => this.isDisconnected(p._id));
+
+        let player = null;
+        if(this.settings.turnMode === TURN_MODE.SEQUENTIAL) {
+            player = this.findPlayer(this.playerOrder[turn - 1]);
+            if(!player || (skip && this.isDisconnected(player._id))) {
+                this.turn = { number: turn };
+                return this.nextTurn(true);
+            }
+
+            this.turn = { number: turn, player_id: player._id, players: [player._id] };
+        } else {
+            // Every player in the turn order is allowed to act
+            const players = this.playerOrder.filter(id => this.findPlayer(id) && !(skip && this.isDisconnected(id)));
+            this.turn = { number: turn, players };
+            if(this.settings.turnMode === TURN_MODE.SIMULTANEOUS) {
+                this.turn.submitted = [];
+            }
+        }
 
         if(this.handleTurnStart) {
-            this.handleTurnStart(player, this.round, this.turn);
+            try {
+                this.handleTurnStart(player, this.round, this.turn);
+            } catch(err) {
+                return this.handleError(err, 'handleTurnStart');
+            }
         }
         this.room.broadcast('game/turn', { round: this.round, turn: this.turn });
-    }
-
-    nextTurn(restart = false) {
-        // Starts a new turn, a new round or ends
-        const executeNextTurn = () => {
-            const nextNum = this.turn.number + 1;
-            if(nextNum > this.playerOrder.length) {
-                // Next round
-                return this.nextRound();
-            } else {
-                return this.startTurn(nextNum);
+        if(this.settings.rollbackOnError) {
+            try {
+                this.checkpoint = this.snapshot();
+            } catch(err) {
+                // serializeState failed, the room decides what happens next
+                return false;
             }
-        };
+        }
 
-        if(!restart && this.handleTurnEnd) {
-            const player = this.findPlayer(this.playerOrder[this.turn.number - 1]);
-            return this.handleTurnEnd(player)
-                // Next turn
-                .then(() => executeNextTurn())
-                // Player win conditions after turn is complete, i.e.
-                // The board is dominated by a player in Risk
-                .catch(payload => {
-                    if(!(payload instanceof Error)) {
-                        this.onEnd(payload);
-                    } else {
-                        console.log(payload);
-                    }
-                });
-        } else {
-            return executeNextTurn();
+        this.checkPause();
+        if(this.settings.turnTimeLimit && !this.paused) {
+            this.startTurnTimer(this.settings.turnTimeLimit);
         }
+        this.scheduleBotMoves();
     }
 
     /**
-     * Handle a move request from a socket
-     * @param {Player} player 
-     * @param {Object} payload 
+     * Check whether a bot moves for a player, either a bot player
+     * or a dropped player with the BOT disconnect action
+     * @param {string} player_id
+     * @returns {boolean}
      */
-    playerMove(player, move) {
-        if(this.endResults) {
-            return Promise.reject('Game has ended.');
-        }
-        if(this.turn.number === 0) {
-            return Promise.reject('Game has not started.');
-        }
-        // The move can only be accepted if it's the player's turn
-        // TODO: For some games this will be too restrictive, players may
-        // be allowed to send actions at other times in some types of games.
-        if(player._id != this.turn.player_id) {
-            return Promise.reject('You are not allowed to send that right now.');
+    isBot(player_id) {
+        const player = this.findPlayer(player_id);
+        if(!player) {
+            return false;
         }
 
-        return this.handleMove(move)
-            .then(move => {
-                // The move was accepted by the game
-                const payload = {
-                    player_id: player._id,
-                    round: this.round.number,
-                    turn: this.turn.number,
-                    payload: move
-                };
-                this.moves.push(payload);
-                this.room.broadcast('game/move', payload);
-
-                this.nextTurn();
-
-                return payload;
-            });
+        return player.bot || (this.settings.disconnectAction === DISCONNECT_ACTION.BOT && this.isDisconnected(player_id));
     }
 
-    onEnd(payload) {
-        return this.handleEnd(payload)
-            .then(results => {
-                // Let the clients know the game has ended
-                this.endResults = results;
-                this.room.broadcast('game/end', results);
+    /**
+     * Let the bots in the current turn move after botMoveDelay
+     */
+    scheduleBotMoves() {
+        this.clearBotMoves();
+        if(this.destroyed || !this.started || this.endResults || this.paused) {
+            return;
+        }
 
-                // Let the system know the game has ended
-                this.emit('end', results);
-            });
+        const current = this.turn;
+        (current.players || []).filter(id => this.isBot(id)).forEach(id => {
+            this.botTimeouts.push(setTimeout(() => {
+                // Ignore the bot if the turn moved on without clearing it
+                if(this.turn === current && this.canMove(id) && this.isBot(id)) {
+                    this.playBotMove(id);
+                }
+            }, this.settings.botMoveDelay));
+        });
     }
 
-    handlePlayerLeave(player) {
-        // We are told by the room that a player has left
-        if(this.room.players.length < this.gameObj.min_players) {
-            this.destroy();
-        }
+    clearBotMoves() {
+        this.botTimeouts.forEach(timeout => clearTimeout(timeout));
+        this.botTimeouts = [];
     }
 
-    destroy() {
-        // Let the room know that the game has stopped
-        this.room.broadcast('game/destroy');
+    /**
+     * Ask the game for a bot's move and send it. Bots that can't find a
+     * valid move give up their turn, a bot that throws goes through handleError.
+     * @param {string} player_id
+     */
+    playBotMove(player_id) {
+        const player = this.findPlayer(player_id);
+
+        return this.runHook('getBotMove', () => this.getBotMove(player, this.toJSONForPlayer(player_id)))
+            .then(move => {
+                if(move === null || move === undefined) {
+                    return Promise.reject('Bot has no move.');
+                }
+
+                return this.playerMove(player, move);
+            })
+            .catch(reason => {
+                if(reason instanceof Error) {
+                    // The game has rolled back or stopped
+                    return null;
+                }
+                if(this.canMove(player_id)) {
+                    this.recordEvent('skip', { player_id });
+                    this.detach(this.skipPlayer(player_id));
+                }
+
+                return null;
+            });
+    }
+
+    /**
+     * Choose the move a bot makes. Games can replace this with their own AI,
+     * by default a bot picks one of getLegalMoves(player, state) at random.
+     * @param {Player} player The bot
+     * @param {object} state The game as the bot's player sees it
+     * @returns {object|Promise|null} The move payload, null when the bot has no move
+     */
+    getBotMove(player, state) {
+        const moves = (this.getLegalMoves ? this.getLegalMoves(player, state) : [])
+            .filter(move => !this.validatePhaseMove(move));
+
+        return moves.length > 0 ? this.botRandom.pick(moves) : null;
+    }
+
+    /**
+     * Start the countdown for the current turn
+     * @param {int} duration Milliseconds until the turn times out
+     */
+    startTurnTimer(duration) {
+        const current = this.turn;
+        this.startTimer('turn', duration, () => {
+            // Ignore the timer if the turn moved on without clearing it
+            if(this.turn === current && !this.endResults) {
+                this.detach(this.expireTurn());
+            }
+        });
+    }
+
+    /**
+     * Run the current turn out of time, as its timer does when it expires
+     */
+    expireTurn() {
+        this.recordEvent('timeout');
+
+        return this.runHook('handleTurnTimeout', () => this.handleTurnTimeout(this.findPlayer(this.turn.player_id) || null));
+    }
+
+    /**
+     * Called when a turn runs out of time. By default the turn is skipped.
+     * @param {Player|null} player The player whose turn it was, null
+     * when every player acts in the same turn
+     */
+    handleTurnTimeout(player) {
+        return this.nextTurn();
+    }
+
+    /**
+     * The number of turns in a round for the current turn mode
+     * @returns {int}
+     */
+    turnsPerRound() {
+        if(this.settings.turnMode === TURN_MODE.SEQUENTIAL) {
+            return this.playerOrder.length;
+        }
+
+        // Simultaneous and free turns are taken by everyone at once
+        return 1;
+    }
+
+    nextTurn(restart = false) {
+        // Starts a new turn, a new round or ends
+        this.clearTimer();
+        this.clearBotMoves();
+        const executeNextTurn = () => {
+            const nextNum = this.turn.number + 1;
+            if(nextNum > this.turnsPerRound()) {
+                // Next round
+                return this.nextRound();
+            } else {
+                return this.startTurn(nextNum);
+            }
+        };
+
+        if(!restart && this.handleTurnEnd) {
+            const player = this.findPlayer(this.turn.player_id);
+            return this.runHook('handleTurnEnd', () => this.handleTurnEnd(player))
+                .then(
+                    // Next turn
+                    () => executeNextTurn(),
+                    // Player win conditions after turn is complete, i.e.
+                    // The board is dominated by a player in Risk
+                    payload => payload instanceof Error ? Promise.reject(payload) : this.onEnd(payload)
+                );
+        } else {
+            return executeNextTurn();
+        }
+    }
+
+    /**
+     * Check whether a player is allowed to act in the current turn
+     * @param {string} player_id
+     * @returns {boolean}
+     */
+    canMove(player_id) {
+        if(!this.turn.players) {
+            return false;
+        }
+
+        return this.turn.players.some(id => id == player_id);
+    }
+
+    /**
+     * Handle a move request from a socket. Every rejection is a
+     * { code, field, message } error with a MOVE_ERROR code.
+     * @param {Player} player 
+     * @param {Object} payload 
+     */
+    playerMove(player, move) {
+        const reject = reason => {
+            // Games reject moves with a message or their own structured error
+            const error = reason && typeof reason === 'object' && reason.code
+                ? Object.assign({ field: null }, reason)
+                : moveError(MOVE_ERROR.INVALID_MOVE, typeof reason === 'string' ? reason : 'Invalid move.');
+            // Moves can hold secrets, only what kind of move it was is logged
+            this.logger.info('move_rejected', { player_id: player ? player._id : null, type: moveType(move), reason: error });
+
+            return Promise.reject(error);
+        };
+
+        if(this.endResults || this.destroyed) {
+            return reject(moveError(MOVE_ERROR.GAME_ENDED, 'Game has ended.'));
+        }
+        if(this.turn.number === 0) {
+            return reject(moveError(MOVE_ERROR.NOT_STARTED, 'Game has not started.'));
+        }
+        if(this.paused) {
+            return reject(moveError(MOVE_ERROR.PAUSED, 'Game is paused.'));
+        }
+        // The move can only be accepted if the turn mode allows
+        // the player to act right now
+        if(!this.canMove(player._id) || this.pendingMoves.includes(player._id)) {
+            return reject(moveError(MOVE_ERROR.NOT_ALLOWED, 'You are not allowed to send that right now.'));
+        }
+        if(this.moveTypes) {
+            const error = validateMove(this.moveTypes, move, player);
+            if(error) {
+                return reject(error);
+            }
+        }
+        const phaseError = this.validatePhaseMove(move);
+        if(phaseError) {
+            return reject(phaseError);
+        }
+
+        // Remember the state before the move so it can be taken back
+        const reversible = this.settings.undo && this.isReversible(move, player);
+        let before = null;
+        if(reversible || this.settings.rollbackOnError) {
+            try {
+                before = this.snapshot();
+            } catch(err) {
+                return reject(moveError(MOVE_ERROR.MOVE_FAILED, 'Something went wrong with that move.'));
+            }
+        }
+
+        // Hold the player's place in the turn while the game handles the
+        // move, so a second move sent meanwhile is turned down
+        const turn = this.turn;
+        if(this.settings.turnMode !== TURN_MODE.FREE) {
+            this.pendingMoves.push(player._id);
+        }
+        if(this.settings.turnMode === TURN_MODE.SIMULTANEOUS) {
+            turn.players = turn.players.filter(id => id != player._id);
+            turn.submitted.push(player._id);
+        }
+        const settle = () => {
+            this.pendingMoves = this.pendingMoves.filter(id => id != player._id);
+        };
+
+        let handled;
+        try {
+            handled = this.handleMove(move, player);
+        } catch(err) {
+            handled = Promise.reject(err);
+        }
+
+        return Promise.resolve(handled)
+            .catch(reason => {
+                settle();
+                if(this.settings.turnMode === TURN_MODE.SIMULTANEOUS && this.turn === turn) {
+                    // The player can try again this turn
+                    turn.submitted = turn.submitted.filter(id => id != player._id);
+                    turn.players.push(player._id);
+                }
+                if(reason instanceof Error) {
+                    // Moves aren't tried again, they may have changed the game
+                    this.handleError(reason, 'handleMove', before);
+                    return reject(moveError(MOVE_ERROR.MOVE_FAILED, 'Something went wrong with that move.'));
+                }
+
+                return reject(reason);
+            })
+            .then(move => {
+                // The move was accepted by the game
+                settle();
+                const payload = {
+                    player_id: player._id,
+                    round: this.round.number,
+                    turn: this.turn.number,
+                    phase: this.phase,
+                    // How many random numbers had been drawn, to check
+                    // that a replay from the seed stays in sync
+                    draws: this.random.draws,
+                    payload: move
+                };
+                this.moves.push(payload);
+                this.recordUndo(payload, reversible ? before : null);
+                this.broadcastSecret('game/move', socket => this.toMoveJSONForPlayer(payload, socket.user._id.toString()));
+                this.logger.info('move', {
+                    player_id: payload.player_id,
+                    round: payload.round,
+                    turn: payload.turn,
+                    phase: payload.phase,
+                    type: moveType(move)
+                });
+
+                switch(this.settings.turnMode) {
+                    case TURN_MODE.SIMULTANEOUS:
+                        // Each player submits once, the round
+                        // closes when everyone has submitted
+                        if(this.turn.players.length === 0 && this.pendingMoves.length === 0) {
+                            this.detach(this.nextTurn());
+                        }
+                        break;
+                    case TURN_MODE.FREE:
+                        // The game decides when to move on
+                        break;
+                    default:
+                        this.detach(this.nextTurn());
+                        break;
+                }
+
+                return payload;
+            });
+    }
+
+    /**
+     * Check whether a move can be undone. Move types are
+     * reversible unless their schema sets reversible: false.
+     * @param {object} move
+     * @param {Player} player
+     * @returns {boolean}
+     */
+    isReversible(move, player) {
+        const schema = this.moveTypes && move ? this.moveTypes[move.type] : null;
+
+        return !schema || schema.reversible !== false;
+    }
+
+    /**
+     * Keep the state from before an accepted move
+     * @param {object} move The recorded move
+     * @param {object|null} snapshot The game before the move, null when it can't be undone
+     */
+    recordUndo(move, snapshot) {
+        if(!this.settings.undo) {
+            return;
+        }
+
+        // A new move replaces anything that was undone or being asked for
+        this.redoMoves = [];
+        this.undoRequest = null;
+        if(!snapshot) {
+            // Moves before an irreversible move can't be undone either
+            this.undoHistory = [];
+            return;
+        }
+
+        this.undoHistory.push({ index: this.moves.length - 1, move, snapshot });
+        if(this.undoHistory.length > this.settings.undoLimit) {
+            this.undoHistory.shift();
+        }
+    }
+
+    /**
+     * Ask to take back the last move, players can only undo their own move
+     * @param {string} player_id
+     * @returns {Promise} Resolves true when the move was undone, false while waiting for consent
+     */
+    requestUndo(player_id) {
+        if(!this.settings.undo) {
+            return Promise.reject('Undo is turned off.');
+        }
+        if(this.endResults) {
+            return Promise.reject('Game has ended.');
+        }
+
+        const last = this.undoHistory[this.undoHistory.length - 1];
+        if(!last || last.index !== this.moves.length - 1 || last.move.player_id != player_id) {
+            return Promise.reject('You can only undo your last move.');
+        }
+        if(this.undoRequest) {
+            return Promise.reject('An undo has already been asked for.');
+        }
+
+        // Everyone else who is playing has to agree, bots always do
+        const waiting = this.players
+            .filter(p => p._id != player_id && !this.isBot(p._id) && !this.isDisconnected(p._id))
+            .map(p => p._id);
+        if(!this.settings.undoConsent || waiting.length === 0) {
+            return Promise.resolve(this.undo());
+        }
+
+        this.undoRequest = { player_id, waiting };
+        this.room.broadcast('game/undo_request', { player_id, waiting });
+
+        return Promise.resolve(false);
+    }
+
+    /**
+     * Agree or refuse to let a player undo their move
+     * @param {string} player_id The player answering
+     * @param {boolean} accept
+     * @returns {Promise} Resolves true when the move was undone
+     */
+    answerUndo(player_id, accept) {
+        if(!this.undoRequest) {
+            return Promise.reject('Nobody has asked to undo.');
+        }
+        if(!this.undoRequest.waiting.some(id => id == player_id)) {
+            return Promise.reject('You can\'t answer this undo.');
+        }
+
+        if(!accept) {
+            const request = this.undoRequest;
+            this.undoRequest = null;
+            this.room.broadcast('game/undo_refused', { player_id: request.player_id, refused_by: player_id });
+
+            return Promise.resolve(false);
+        }
+
+        this.undoRequest.waiting = this.undoRequest.waiting.filter(id => id != player_id);
+        if(this.undoRequest.waiting.length > 0) {
+            this.room.broadcast('game/undo_request', this.undoRequest);
+
+            return Promise.resolve(false);
+        }
+
+        return Promise.resolve(this.undo());
+    }
+
+    /**
+     * Roll the game back to before the last move
+     * @returns {boolean|Promise} True, or a rejection when the game's state couldn't be restored
+     */
+    undo() {
+        const { move, snapshot } = this.undoHistory.pop();
+        this.undoRequest = null;
+        this.redoMoves.push(move);
+        try {
+            this.rollback(snapshot);
+        } catch(err) {
+            // restoreState failed and has been through handleError
+            return Promise.reject('Something went wrong, try again.');
+        }
+
+        this.broadcastSecret('game/undo', socket => ({
+            move: this.toMoveJSONForPlayer(move, socket.user._id.toString()),
+            round: this.round,
+            turn: this.turn
+        }));
+        this.broadcastUpdate();
+
+        return true;
+    }
+
+    /**
+     * Play the last undone move again
+     * @param {string} player_id Only the player who made the move can redo it
+     */
+    redo(player_id) {
+        const move = this.redoMoves[this.redoMoves.length - 1];
+        if(!move || move.player_id != player_id) {
+            return Promise.reject('There is no move to redo.');
+        }
+
+        // Sending the move again would forget the rest of the undone moves
+        const redoMoves = this.redoMoves.slice(0, -1);
+
+        return this.playerMove(this.findPlayer(player_id), move.payload)
+            .then(redone => {
+                this.redoMoves = redoMoves;
+                this.broadcastSecret('game/redo', socket => ({
+                    move: this.toMoveJSONForPlayer(redone, socket.user._id.toString())
+                }));
+
+                return redone;
+            });
+    }
+
+    /**
+     * Put the game back to a snapshot taken during the game
+     * @param {object} snapshot A snapshot created by snapshot()
+     */
+    rollback(snapshot) {
+        this.clearTimer();
+        this.clearBotMoves();
+
+        // The turn gets its full time again
+        this.restore(Object.assign({}, snapshot, { timer: null }));
+        if(this.settings.turnTimeLimit && !this.paused) {
+            this.startTurnTimer(this.settings.turnTimeLimit);
+        }
+    }
+
+    /**
+     * Call one of the game's hooks, catching anything it throws. Hooks that
+     * throw an Error are called again up to errorRetries times before
+     * handleError takes over. Other rejections are passed on as they are,
+     * i.e. handleTurnEnd rejecting to end the game.
+     * @param {string} hook The name of the hook, i.e. 'handleRoundStart'
+     * @param {function} call Calls the hook
+     * @returns {Promise} Resolves what the hook returns, rejects with the Error once the hook has failed
+     */
+    runHook(hook, call) {
+        const attempt = retries => {
+            let result;
+            try {
+                result = Promise.resolve(call());
+            } catch(err) {
+                result = Promise.reject(err);
+            }
+
+            return result.catch(err => {
+                if(!(err instanceof Error)) {
+                    return Promise.reject(err);
+                }
+                if(retries > 0) {
+                    this.logger.warn('hook_retry', { hook, error: err, retries });
+                    return attempt(retries - 1);
+                }
+
+                this.handleError(err, hook);
+
+                // Whatever was waiting on the hook doesn't go ahead
+                return Promise.reject(err);
+            });
+        };
+
+        return attempt(this.settings.errorRetries);
+    }
+
+    /**
+     * Call one of the game's synchronous hooks, i.e. serializeState. A hook
+     * that throws goes through handleError without a rollback, and the
+     * error is thrown on so the caller doesn't go ahead.
+     * @param {string} hook The name of the hook
+     * @param {function} call Calls the hook
+     * @returns {*} What the hook returns
+     */
+    callHook(hook, call) {
+        try {
+            return call();
+        } catch(err) {
+            this.handleError(err, hook, null);
+            throw err;
+        }
+    }
+
+    /**
+     * Let a step of the game run without anything waiting on it. Hook
+     * failures have been through handleError by the time the step
+     * rejects, anything else that goes wrong is logged.
+     * @param {Promise|*} step What a step like nextTurn() returns
+     */
+    detach(step) {
+        Promise.resolve(step).catch(error => {
+            if(!handledErrors.has(error)) {
+                this.logger.error('step_failed', { error, round: this.round.number, turn: this.turn.number });
+            }
+        });
+    }
+
+    /**
+     * Called when one of the game's hooks fails. The game goes back to the snapshot
+     * with rollbackOnError, and a failed move or ready up is turned down while the
+     * game carries on. The room steps in when the game can't recover, or has
+     * failed more than errorLimit times.
+     * @param {Error} error
+     * @param {string} hook The name of the hook that failed
+     * @param {object} snapshot The last good state, the start of the turn when not given
+     * @returns {boolean} Whether the game recovered
+     */
+    handleError(error, hook, snapshot = this.checkpoint) {
+        this.errorCount++;
+        if(error instanceof Object) {
+            handledErrors.add(error);
+        }
+
+        const withinLimit = this.errorCount <= this.settings.errorLimit && !this.endResults;
+        const rollback = withinLimit && this.settings.rollbackOnError && !!snapshot;
+        const recovered = rollback || (withinLimit && (hook === 'handleMove' || hook === 'handleReadyUp'));
+
+        this.logger.error('game_error', {
+            error,
+            hook,
+            recovered,
+            round: this.round.number,
+            turn: this.turn.number
+        });
+
+        if(rollback) {
+            try {
+                this.rollback(snapshot);
+                this.broadcastUpdate();
+            } catch(err) {
+                // restoreState failed too, and has been through handleError on its own
+                return false;
+            }
+        } else if(!recovered) {
+            // Stop the game where it is until the room decides what to do
+            this.clearTimer();
+            this.clearBotMoves();
+        }
+
+        // Clients only hear which hook failed, not the details of the error
+        this.room.broadcast('game/error', { hook, recovered, rolled_back: rollback });
+        this.emit('failure', { error, hook, recovered });
+
+        return recovered;
+    }
+
+    onEnd(payload) {
+        this.clearTimer();
+        this.clearBotMoves();
+        this.unlockChat();
+
+        return this.runHook('handleEnd', () => this.handleEnd(payload))
+            .then(results => {
+                if(this.teams.length > 0 && results && results.scores) {
+                    results.teamScores = this.scoreTeams(results.scores);
+                }
+
+                // Let the clients know the game has ended
+                this.endResults = results;
+                this.room.broadcast('game/end', results);
+                this.logger.info('game_end', { results });
+
+                // Let the system know the game has ended
+                this.emit('end', results);
+            });
+    }
+
+    /**
+     * Note something that changed the course of the game without a move.
+     * Replays apply each event after the moves that were made before it.
+     * @param {string} type i.e. 'timeout', 'disconnect' or 'poll'
+     * @param {object} data What the replay needs to apply the event
+     */
+    recordEvent(type, data = {}) {
+        this.events.push(Object.assign({
+            type,
+            moves: this.moves.length,
+            started: this.started,
+            round: this.round.number,
+            turn: this.turn.number
+        }, data));
+    }
+
+    /**
+     * Check whether a player has dropped and is expected back
+     * @param {string} player_id
+     * @returns {boolean}
+     */
+    isDisconnected(player_id) {
+        return this.disconnected.some(id => id == player_id);
+    }
+
+    /**
+     * Pause or resume the game depending on who is connected. With the PAUSE
+     * disconnect action the game waits for players in the current turn,
+     * otherwise it only waits when every player has gone.
+     */
+    checkPause() {
+        if(!this.started || this.endResults || this.turn.number === 0) {
+            return;
+        }
+
+        const waiting = this.settings.disconnectAction === DISCONNECT_ACTION.PAUSE
+            ? (this.turn.players || []).some(id => this.isDisconnected(id))
+            : this.players.every(p => this.isDisconnected(p._id));
+
+        if(waiting && !this.paused) {
+            this.pause();
+        } else if(!waiting && this.paused) {
+            this.resume();
+        }
+    }
+
+    pause() {
+        this.paused = true;
+        this.clearTimer();
+
+        this.room.broadcast('game/pause', { disconnected: this.disconnected });
+    }
+
+    resume() {
+        this.paused = false;
+
+        this.room.broadcast('game/resume', { turn: this.turn });
+        if(this.settings.turnTimeLimit) {
+            this.startTurnTimer(this.settings.turnTimeLimit);
+        }
+        this.scheduleBotMoves();
+    }
+
+    /**
+     * Take a player out of the current turn
+     * @param {string} player_id
+     */
+    skipPlayer(player_id) {
+        if(this.settings.turnMode === TURN_MODE.SEQUENTIAL) {
+            if(this.turn.player_id == player_id) {
+                return this.nextTurn(true);
+            }
+        } else if(this.canMove(player_id)) {
+            this.turn.players = this.turn.players.filter(id => id != player_id);
+            if(this.settings.turnMode === TURN_MODE.SIMULTANEOUS
+                && this.turn.players.length === 0 && this.pendingMoves.length === 0) {
+                // Everyone left in the turn has submitted
+                return this.nextTurn();
+            }
+        }
+    }
+
+    handlePlayerDisconnect(player) {
+        // We are told by the room that a player has dropped,
+        // their seat is held until they reconnect or time out
+        this.recordEvent('disconnect', { player_id: player._id });
+        if(!this.isDisconnected(player._id)) {
+            this.disconnected.push(player._id);
+        }
+        if(!this.started || this.endResults) {
+            return;
+        }
+
+        this.checkPause();
+        if(!this.paused && this.settings.disconnectAction === DISCONNECT_ACTION.SKIP) {
+            this.detach(this.skipPlayer(player._id));
+        } else if(!this.paused && this.settings.disconnectAction === DISCONNECT_ACTION.BOT) {
+            this.scheduleBotMoves();
+        }
+    }
+
+    /**
+     * Hand a player's seat to a bot for the rest of the game
+     * @param {string} player_id
+     */
+    handlePlayerBot(player_id) {
+        const player = this.findPlayer(player_id);
+        if(!player) {
+            return;
+        }
+
+        this.recordEvent('bot', { player_id });
+        player.bot = true;
+        this.disconnected = this.disconnected.filter(id => id != player_id);
+        if(!this.started && !player.ready) {
+            player.ready = true;
+            this.room.broadcast('game/player_ready', { player_id });
+            this.startWhenReady();
+        } else if(this.started && !this.endResults && this.turn.number > 0) {
+            this.checkPause();
+            this.scheduleBotMoves();
+        }
+    }
+
+    handlePlayerReconnect(player) {
+        // We are told by the room that a dropped player is back
+        this.recordEvent('reconnect', { player_id: player._id });
+        this.disconnected = this.disconnected.filter(id => id != player._id);
+        if(!this.started || this.endResults || this.turn.number === 0) {
+            return;
+        }
+
+        if(this.settings.turnMode !== TURN_MODE.SEQUENTIAL && !this.canMove(player._id)
+            && !(this.turn.submitted || []).some(id => id == player._id)) {
+            // Let them back into the turn everyone is taking
+            this.turn.players.push(player._id);
+        }
+
+        this.checkPause();
+        if(!this.paused && this.settings.disconnectAction === DISCONNECT_ACTION.SKIP) {
+            // When everyone had gone, the turn may still belong to a dropped player
+            (this.turn.players || []).filter(id => this.isDisconnected(id)).forEach(id => this.detach(this.skipPlayer(id)));
+        }
+    }
+
+    /**
+     * Total the scores of each team's players
+     * @param {object} scores Points keyed by player ID
+     * @returns {object} Points keyed by team ID
+     */
+    scoreTeams(scores) {
+        const teamScores = {};
+        this.teams.forEach(t => {
+            teamScores[t.id] = t.players.reduce((sum, id) => sum + (scores[id] || 0), 0);
+        });
+
+        return teamScores;
+    }
+
+    handlePlayerLeave(player) {
+        // We are told by the room that a player has left, players
+        // who leave before the start aren't in the recording at all
+        if(this.started) {
+            this.recordEvent('leave', { player_id: player._id });
+        }
+        const index = this.playerOrder.findIndex(id => id == player._id);
+        this.players = this.players.filter(p => p._id != player._id);
+        this.playerOrder = this.playerOrder.filter(id => id != player._id);
+        this.disconnected = this.disconnected.filter(id => id != player._id);
+        this.polls.forEach(poll => poll.removeVoter(player._id));
+
+        if(!this.endResults && this.tooFewPlayers()) {
+            return this.destroy();
+        }
+
+        if(!this.started) {
+            // Don't wait for the player to ready up
+            this.startWhenReady();
+        } else if(!this.endResults && this.turn.number > 0) {
+            this.checkPause();
+            if(this.settings.turnMode !== TURN_MODE.SEQUENTIAL) {
+                return this.skipPlayer(player._id);
+            }
+
+            // Sequential turns follow the player order, so the
+            // players after the leaver each move up a turn
+            if(this.turn.player_id == player._id) {
+                this.clearTimer();
+                this.clearBotMoves();
+
+                return this.startTurn(this.turn.number);
+            }
+            if(index > -1 && index < this.turn.number - 1) {
+                this.turn.number--;
+            }
+        }
+    }
+
+    /**
+     * Stop the game before it has ended, i.e. when too few players are left.
+     * Emits 'destroy' so the room can move on.
+     */
+    destroy() {
+        if(this.destroyed) {
+            return;
+        }
+
+        this.destroyed = true;
+        this.clearTimer();
+        this.clearBotMoves();
+        this.polls.forEach(poll => poll.close());
+        this.unlockChat();
+
+        // Let the room know that the game has stopped
+        this.room.broadcast('game/destroy');
+        this.logger.info('game_destroy');
+        this.emit('destroy');
     }
     
+    /**
+     * Create a JSON-safe recording of the game that a Replay
+     * can play back from the seed and move log
+     * @returns {object}
+     */
+    toRecording() {
+        return JSON.parse(JSON.stringify({
+            gameObj: this.gameObj,
+            seed: this.seed,
+            settings: this.settings,
+            players: this.startingPlayers || [],
+            teams: this.teams,
+            moves: this.moves,
+            events: this.events
+        }));
+    }
+
+    /**
+     * Create a JSON-safe snapshot of the game that can be stored
+     * and passed to restore() to resume the game later.
+     * Games with custom state should implement serializeState()
+     * and restoreState(state). Games that give visibility rules as
+     * functions should implement restoreVisibility() to set them again,
+     * the fields are hidden from everyone else until they do.
+     * @returns {object}
+     */
+    snapshot() {
+        return JSON.parse(JSON.stringify({
+            name: this.name,
+            seed: this.seed,
+            random: this.random.getState(),
+            players: this.players,
+            teams: this.teams,
+            settings: this.settings,
+            started: this.started,
+            moves: this.moves,
+            events: this.events,
+            round: this.round,
+            turn: this.turn,
+            phase: this.phase,
+            maxRounds: this.maxRounds,
+            playerOrder: this.playerOrder,
+            timer: this.timer,
+            endResults: this.endResults,
+            startingPlayers: this.startingPlayers,
+            visibility: storeVisibility(this.visibility),
+            playerVisibility: this.players.map(p => ({ _id: p._id, visibility: storeVisibility(p.visibility) })),
+            state: this.serializeState ? this.callHook('serializeState', () => this.serializeState()) : null
+        }));
+    }
+
+    /**
+     * Resume the game from a snapshot, in place of init()
+     * @param {object} snapshot A snapshot created by snapshot()
+     */
+    restore(snapshot) {
+        this.random = createRandom(snapshot.seed);
+        this.random.setState(snapshot.random);
+        this.seed = snapshot.seed;
+        const previous = this.players;
+        this.players = snapshot.players.map(p => Object.assign(this.initPlayer(p), p));
+        this.teams = snapshot.teams || [];
+        this.settings = snapshot.settings;
+        this.started = snapshot.started;
+        this.moves = snapshot.moves;
+        this.events = snapshot.events || [];
+        this.round = snapshot.round;
+        this.turn = snapshot.turn;
+        this.phase = snapshot.phase || null;
+        this.maxRounds = snapshot.maxRounds;
+        this.playerOrder = snapshot.playerOrder;
+        this.endResults = snapshot.endResults;
+        this.startingPlayers = snapshot.startingPlayers;
+        Object.keys(snapshot.visibility || {}).forEach(field => {
+            this.setVisibility(field, loadVisibility(snapshot.visibility[field], this.visibility[field]));
+        });
+        (snapshot.playerVisibility || []).forEach(({ _id, visibility }) => {
+            const player = this.findPlayer(_id);
+            const before = previous.find(p => p._id == _id);
+            Object.keys(visibility).forEach(field => {
+                player.setVisibility(field, loadVisibility(visibility[field], before && before.visibility && before.visibility[field]));
+            });
+        });
+
+        if(this.restoreState) {
+            this.callHook('restoreState', () => this.restoreState(snapshot.state));
+        }
+        if(this.restoreVisibility) {
+            this.callHook('restoreVisibility', () => this.restoreVisibility());
+        }
+
+        // Pick up the countdown where it was left
+        if(snapshot.timer && !this.endResults) {
+            const remaining = Math.max(snapshot.timer.deadline - Date.now(), 0);
+            if(snapshot.timer.type === 'turn') {
+                this.startTurnTimer(remaining);
+            } else if(snapshot.timer.type === 'readyUp') {
+                this.startTimer('readyUp', remaining, () => this.handleReadyUpTimeout());
+            }
+        }
+        // Let the bots carry on with the turn, unless the game is paused
+        this.scheduleBotMoves();
+    }
+
     toJSON() {
         return {
             name: this.name,
+            seed: this.seed,
             players: this.players,
+            teams: this.teams,
             settings: this.settings,
             started: this.started,
             moves: this.moves,
             round: this.round,
             turn: this.turn,
+            phase: this.phase,
             maxRounds: this.maxRounds,
             playerOrder: this.playerOrder,
+            timer: this.timer,
+            disconnected: this.disconnected,
+            paused: this.paused,
+            polls: this.polls,
             endResults: this.endResults
         };
     }
 
-    toJSONForPlayer() {
+    toJSONForPlayer(player_id) {
         // When converting the room to JSON, a game should hide
         // private player information from other players.
-        return Object.assign({}, this.toJSON());
+        const json = Object.assign({}, this.toJSON());
+        if(!this.endResults) {
+            // The seed would let players predict every draw,
+            // it is only revealed once the game is over.
+            delete json.seed;
+        }
+
+        Object.keys(this.visibility).forEach(field => {
+            if(!canSee(this.visibility[field], player_id)) {
+                delete json[field];
+            }
+        });
+        if(json.players) {
+            json.players = json.players.map(p => p.toJSONForPlayer ? p.toJSONForPlayer(player_id) : p);
+        }
+        if(json.moves) {
+            json.moves = json.moves.map(m => this.toMoveJSONForPlayer(m, player_id));
+        }
+
+        return json;
+    }
+
+    /**
+     * Check whether a player can see what was sent in a move. Players see their
+     * own moves, but not the hidden moves of others or their moves in a
+     * simultaneous turn that is still being taken.
+     * @param {object} move A recorded move
+     * @param {string|null} player_id Null for spectators
+     * @returns {boolean}
+     */
+    canSeeMove(move, player_id) {
+        if(move.player_id == player_id) {
+            return true;
+        }
+
+        const schema = this.moveTypes && move.payload ? this.moveTypes[move.payload.type] : null;
+        if(schema && schema.hidden) {
+            return false;
+        }
+
+        return this.settings.turnMode !== TURN_MODE.SIMULTANEOUS || !!this.endResults
+            || move.round !== this.round.number || move.turn !== this.turn.number;
+    }
+
+    /**
+     * A recorded move as a player sees it, without its payload when they can't see it
+     * @param {object} move
+     * @param {string|null} player_id Null for spectators
+     * @returns {object}
+     */
+    toMoveJSONForPlayer(move, player_id) {
+        if(this.canSeeMove(move, player_id)) {
+            return move;
+        }
+
+        const json = Object.assign({}, move);
+        delete json.payload;
+
+        return json;
+    }
+
+    toJSONForSpectator() {
+        // Spectators see the game as a player who owns nothing,
+        // so anything a game hides from other players is hidden.
+        return this.toJSONForPlayer(null);
     }
 }
 
@@ -1,3 +1,5 @@
+const canSee = require('./helpers/canSee');
+
 /**
  * The player class represents a player in a game
  */
@@ -8,12 +10,64 @@ class Player {
      */
     constructor(player) {
         this._id = player._id;
+        // Bots move by themselves through Game#getBotMove
+        this.bot = !!player.bot;
+    }
+
+    /**
+     * Draw random numbers from the game's seeded generator.
+     * Kept out of the player's JSON.
+     * @param {object} random A generator from helpers/random
+     */
+    setRandom(random) {
+        Object.defineProperty(this, 'random', {
+            value: random,
+            writable: true,
+            configurable: true
+        });
+    }
+    
+    /**
+     * Hide a field from other players, i.e. a hand of cards.
+     * The player can always see their own fields.
+     * @param {string} field
+     * @param {array|function} visibleTo Other player IDs allowed to see it, or a function of the player ID
+     */
+    setVisibility(field, visibleTo = []) {
+        if(!this.visibility) {
+            Object.defineProperty(this, 'visibility', {
+                value: {},
+                writable: true,
+                configurable: true
+            });
+        }
+
+        this.visibility[field] = visibleTo;
+    }
+
+    /**
+     * The player as seen by another player
+     * @param {string|null} player_id The player looking, null for spectators
+     */
+    toJSONForPlayer(player_id) {
+        const json = Object.assign({}, this.toJSON ? this.toJSON() : this);
+        if(player_id == this._id || !this.visibility) {
+            return json;
+        }
+
+        Object.keys(this.visibility).forEach(field => {
+            if(!canSee(this.visibility[field], player_id)) {
+                delete json[field];
+            }
+        });
+
+        return json;
     }
     
     rollDie(numberOfDie = 1) {
         const rolls = [];
         for(let i = 0; i < numberOfDie; i++) {
-            rolls.push(Math.floor(Math.random() * 6) + 1);
+            rolls.push(this.random ? this.random.rollDie() : Math.floor(Math.random() * 6) + 1);
         }
 
         return rolls;
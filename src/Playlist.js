@@ -1,10 +1,24 @@
+const { PLAYLIST_MODE } = require('./constants');
+
 /**
  * The playlist class represents a list of games to be played by a room.
  */
 class Playlist {
-    constructor() {
+    /**
+     * Create a new playlist
+     * @param {object} options
+     * @param {int} options.maxLength The most games the playlist can hold
+     */
+    constructor(options = {}) {
         this.games = [];
         this.index = -1;
+        this.maxLength = options.maxLength || 10;
+        this.mode = PLAYLIST_MODE.NORMAL;
+        // Pick the next game at random from the games still to play
+        this.shuffle = false;
+        // Let players vote for the next game, votes are playlist indexes keyed by player ID
+        this.voting = false;
+        this.votes = {};
     }
 
     /**
@@ -12,7 +26,7 @@ class Playlist {
      * @param {object} game The game details representing a Game
      */
     add(game) {
-        if(this.games.length === 10) {
+        if(this.games.length >= this.maxLength) {
             return false;
         }
 
@@ -21,16 +35,177 @@ class Playlist {
         return true;
     }
 
-    next() {
-        // Go to the next game
+    /**
+     * Add a game to play after the current one
+     * @param {object} game The game details representing a Game
+     */
+    insertNext(game) {
+        if(this.games.length >= this.maxLength) {
+            return false;
+        }
+
+        this.games.splice(this.index + 1, 0, game);
+        // Keep votes on the games they were for
+        Object.keys(this.votes).forEach(player_id => {
+            if(this.votes[player_id] > this.index) {
+                this.votes[player_id]++;
+            }
+        });
+
+        return true;
+    }
+
+    /**
+     * Check whether a game is still to be played
+     * @param {int} index
+     * @returns {boolean}
+     */
+    isUpcoming(index) {
+        return Number.isInteger(index) && index > this.index && index < this.games.length;
+    }
+
+    /**
+     * Remove a game that hasn't been played yet
+     * @param {int} index
+     */
+    remove(index) {
+        if(!this.isUpcoming(index)) {
+            return false;
+        }
+
+        const [game] = this.games.splice(index, 1);
+        this.clearVotesFor(index);
+
+        return game;
+    }
+
+    /**
+     * Move a game that hasn't been played yet
+     * @param {int} from
+     * @param {int} to
+     */
+    move(from, to) {
+        if(!this.isUpcoming(from) || !this.isUpcoming(to)) {
+            return false;
+        }
+
+        const [game] = this.games.splice(from, 1);
+        this.games.splice(to, 0, game);
+        // The games in between shift over by one
+        Object.keys(this.votes).forEach(player_id => {
+            const index = this.votes[player_id];
+            if(index === from) {
+                this.votes[player_id] = to;
+            } else if(from < to && index > from && index <= to) {
+                this.votes[player_id]--;
+            } else if(from > to && index >= to && index < from) {
+                this.votes[player_id]++;
+            }
+        });
+
+        return true;
+    }
+
+    /**
+     * Set how the playlist carries on, a PLAYLIST_MODE enum
+     * @param {string} mode
+     */
+    setMode(mode) {
+        if(!Object.keys(PLAYLIST_MODE).includes(mode)) {
+            return false;
+        }
+
+        this.mode = mode;
+
+        return true;
+    }
+
+    /**
+     * Vote for the game to play next
+     * @param {string} player_id
+     * @param {int} index
+     */
+    vote(player_id, index) {
+        if(!this.voting || !this.isUpcoming(index)) {
+            return false;
+        }
+
+        this.votes[player_id] = index;
+
+        return true;
+    }
+
+    /**
+     * Count the votes for each game
+     * @returns {object} Number of votes keyed by playlist index
+     */
+    tally() {
+        const tally = {};
+        Object.keys(this.votes).forEach(player_id => {
+            const index = this.votes[player_id];
+            tally[index] = (tally[index] || 0) + 1;
+        });
+
+        return tally;
+    }
+
+    clearVotesFor(index) {
+        Object.keys(this.votes).forEach(player_id => {
+            if(this.votes[player_id] === index) {
+                delete this.votes[player_id];
+            } else if(this.votes[player_id] > index) {
+                this.votes[player_id]--;
+            }
+        });
+    }
+
+    /**
+     * Go to the next game
+     * @param {boolean} skip Move on even when repeating one game
+     */
+    next(skip = false) {
+        if(this.mode === PLAYLIST_MODE.REPEAT_ONE && !skip && this.index > -1 && this.index < this.games.length) {
+            return this.games[this.index];
+        }
+        if(this.mode !== PLAYLIST_MODE.NORMAL && this.index + 1 >= this.games.length) {
+            // Start again from the top
+            this.index = -1;
+        }
+
+        const upcoming = this.index + 1;
+        const tally = this.tally();
+        const voted = Object.keys(tally).map(Number);
+        if(voted.length > 0) {
+            // The game with the most votes plays next, ties go to the earliest
+            const winner = voted.reduce((best, i) => tally[i] > tally[best] || (tally[i] === tally[best] && i < best) ? i : best);
+            this.move(winner, upcoming);
+        } else if(this.shuffle && upcoming < this.games.length) {
+            this.move(upcoming + Math.floor(Math.random() * (this.games.length - upcoming)), upcoming);
+        }
+        this.votes = {};
+
         this.index++;
 
-        if(this.index === this.games.length) {
+        if(this.index >= this.games.length) {
+            // Stay on the last game so games added later are played
+            this.index = this.games.length - 1;
             return false;
         }
 
         return this.games[this.index];
     }
+
+    toJSON() {
+        return {
+            games: this.games,
+            index: this.index,
+            maxLength: this.maxLength,
+            mode: this.mode,
+            shuffle: this.shuffle,
+            voting: this.voting,
+            votes: this.votes
+        };
+    }
 }
 
 module.exports = Playlist;
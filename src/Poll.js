@@ -0,0 +1,174 @@
+const EventEmitter = require('events');
+const shortid = require('shortid');
+
+const createRandom = require('./helpers/random');
+const { TIE_BREAK } = require('./constants');
+
+/**
+ * A poll asks a group of players to pick one of a few options,
+ * i.e. a vote to kick a player or to pick the funniest answer.
+ * Rooms and games create polls with createPoll.
+ */
+class Poll extends EventEmitter {
+    /**
+     * Create a new poll
+     * @param {Room} room The room the poll is broadcast to
+     * @param {object} options
+     * @param {string} options.question
+     * @param {array} options.options The choices, as strings or { id, label } objects
+     * @param {array} options.voters Player IDs allowed to vote
+     * @param {boolean} options.anonymous Hide who voted for what, and the tally until the poll closes
+     * @param {int} options.duration Milliseconds until the poll closes, null for no limit
+     * @param {string} options.tieBreak A TIE_BREAK enum
+     * @param {object} options.random Breaks random ties, i.e. the game's seeded random numbers
+     * @param {string} options.prefix The start of the poll's event names, i.e. 'room'
+     */
+    constructor(room, options) {
+        super();
+
+        this.room = room;
+        this.id = shortid.generate();
+        this.question = options.question || null;
+        this.options = (options.options || []).map(o => typeof o === 'object' ? o : { id: o, label: String(o) });
+        this.voters = options.voters || [];
+        this.anonymous = !!options.anonymous;
+        this.tieBreak = options.tieBreak || TIE_BREAK.FIRST;
+        this.random = options.random || createRandom();
+        this.prefix = options.prefix || 'room';
+        this.deadline = options.duration ? Date.now() + options.duration : null;
+
+        // Option IDs keyed by player ID
+        this.votes = {};
+        this.result = null;
+        this.promise = new Promise(resolve => {
+            this.resolve = resolve;
+        });
+
+        if(options.duration) {
+            this.timeout = setTimeout(() => this.close(), options.duration);
+        }
+    }
+
+    /**
+     * Let everyone know the poll has started
+     */
+    open() {
+        this.room.broadcast(`${this.prefix}/poll`, { poll: this });
+
+        return this;
+    }
+
+    /**
+     * Cast or change a vote
+     * @param {string} player_id
+     * @param {string} option The ID of the option
+     * @returns {Promise} Resolves the tally, null while an anonymous poll is open
+     */
+    vote(player_id, option) {
+        if(this.result) {
+            return Promise.reject('Poll has closed.');
+        }
+        if(!this.voters.some(id => id == player_id)) {
+            return Promise.reject('You can\'t vote in this poll.');
+        }
+        if(!this.options.some(o => o.id === option)) {
+            return Promise.reject('Unknown option.');
+        }
+
+        this.votes[player_id] = option;
+        this.room.broadcast(`${this.prefix}/poll_update`, { poll: this });
+
+        // Close early once everyone has voted
+        if(this.voters.every(id => id in this.votes)) {
+            this.close();
+        }
+
+        return Promise.resolve(this.anonymous && !this.result ? null : this.tally());
+    }
+
+    /**
+     * Take a player's vote away, i.e. when they leave. The poll
+     * closes once everyone left has voted, or nobody is left.
+     * @param {string} player_id
+     */
+    removeVoter(player_id) {
+        this.voters = this.voters.filter(id => id != player_id);
+        delete this.votes[player_id];
+
+        if(!this.result && this.voters.every(id => id in this.votes)) {
+            this.close();
+        }
+    }
+
+    /**
+     * Count the votes for each option
+     * @returns {object} Number of votes keyed by option ID
+     */
+    tally() {
+        const tally = {};
+        this.options.forEach(o => {
+            tally[o.id] = 0;
+        });
+        Object.keys(this.votes).forEach(player_id => {
+            tally[this.votes[player_id]]++;
+        });
+
+        return tally;
+    }
+
+    /**
+     * Stop voting and work out the winner
+     * @returns {object} The result
+     */
+    close() {
+        if(this.result) {
+            return this.result;
+        }
+        clearTimeout(this.timeout);
+
+        const tally = this.tally();
+        const most = Math.max(0, ...Object.keys(tally).map(id => tally[id]));
+        const tied = most > 0 ? this.options.filter(o => tally[o.id] === most).map(o => o.id) : [];
+
+        let winner = null;
+        if(tied.length === 1) {
+            winner = tied[0];
+        } else if(tied.length > 1 && this.tieBreak === TIE_BREAK.FIRST) {
+            winner = tied[0];
+        } else if(tied.length > 1 && this.tieBreak === TIE_BREAK.RANDOM) {
+            winner = this.random.pick(tied);
+        }
+
+        this.result = {
+            winner,
+            tied: tied.length > 1 ? tied : [],
+            tally,
+            turnout: Object.keys(this.votes).length
+        };
+
+        this.room.broadcast(`${this.prefix}/poll_end`, { poll: this });
+        this.emit('end', this.result);
+        this.resolve(this.result);
+
+        return this.result;
+    }
+
+    toJSON() {
+        return {
+            id: this.id,
+            question: this.question,
+            options: this.options,
+            voters: this.voters,
+            anonymous: this.anonymous,
+            deadline: this.deadline,
+            // Counting anonymous votes as they come in would show who voted for what
+            tally: this.anonymous && !this.result ? null : this.tally(),
+            // Who voted is public, what they voted for might not be
+            voted: Object.keys(this.votes),
+            votes: this.anonymous ? null : this.votes,
+            result: this.result
+        };
+    }
+}
+
+module.exports = Poll;
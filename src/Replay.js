@@ -0,0 +1,203 @@
+const EventEmitter = require('events');
+
+const flush = require('./helpers/flush');
+
+/**
+ * A replay plays a recorded game back headlessly from its
+ * seed and move log, one move at a time. Events in the recording,
+ * i.e. turns that timed out, are applied between the moves.
+ */
+class Replay extends EventEmitter {
+    /**
+     * Create a new replay
+     * @param {class} Game The game class that was played
+     * @param {object} recording A recording created by Game#toRecording
+     */
+    constructor(Game, recording) {
+        super();
+
+        this.Game = Game;
+        this.recording = recording;
+        this.moves = recording.moves;
+        this.events = recording.events || [];
+        this.index = 0;
+        this.eventIndex = 0;
+        this.game = null;
+    }
+
+    /**
+     * Start the game again from the beginning
+     */
+    reset() {
+        const { gameObj, seed, settings, players, teams } = this.recording;
+
+        // A room that goes nowhere, replays are not broadcast by the game
+        const room = {
+            players,
+            teams: teams || [],
+            broadcast: () => {},
+            broadcast_secret: () => {}
+        };
+        this.game = new this.Game(Object.assign({}, gameObj, { seed }), room);
+        this.index = 0;
+        this.eventIndex = 0;
+        // Bot moves are in the recording with everyone else's
+        this.game.scheduleBotMoves = () => {};
+
+        // Run the game's own setup, then apply the recorded settings
+        // and start straight away without ready up or timers
+        const setup = this.game.setup;
+        this.game.setup = () => Promise.resolve(setup ? setup.call(this.game) : {})
+            .then(gameSettings => Object.assign({}, gameSettings, settings, {
+                readyUp: false,
+                turnTimeLimit: null,
+                readyUpTimeLimit: null
+            }));
+
+        // Players who dropped before the start are skipped from the first turn
+        while(this.eventIndex < this.events.length && !this.events[this.eventIndex].started) {
+            this.applyEvent(this.events[this.eventIndex]);
+            this.eventIndex++;
+        }
+        this.game.init();
+
+        return flush();
+    }
+
+    /**
+     * Apply a recorded event to the game the way it happened
+     * @param {object} event An event recorded by Game#recordEvent
+     */
+    applyEvent(event) {
+        const game = this.game;
+        const player = { _id: event.player_id };
+
+        switch(event.type) {
+            case 'timeout':
+                return game.expireTurn();
+            case 'skip':
+                return game.skipPlayer(event.player_id);
+            case 'disconnect':
+                return game.handlePlayerDisconnect(player);
+            case 'reconnect':
+                return game.handlePlayerReconnect(player);
+            case 'leave':
+                return game.handlePlayerLeave(player);
+            case 'bot':
+                return game.handlePlayerBot(event.player_id);
+            case 'poll': {
+                const poll = game.polls[event.poll];
+                if(!poll) {
+                    throw new Error(`Replay out of sync at move ${this.index + 1}.`);
+                }
+                poll.votes = Object.assign({}, event.votes);
+
+                return poll.close();
+            }
+            default:
+                throw new Error(`Unknown replay event: ${event.type}`);
+        }
+    }
+
+    /**
+     * Apply the events that happened after the moves made so far
+     */
+    applyEvents() {
+        const event = this.events[this.eventIndex];
+        if(!event || event.moves > this.index) {
+            return Promise.resolve();
+        }
+
+        return Promise.resolve()
+            .then(() => {
+                this.eventIndex++;
+                this.applyEvent(event);
+            })
+            .then(flush)
+            .then(() => this.applyEvents());
+    }
+
+    /**
+     * Apply the next recorded move to the game
+     */
+    applyMove() {
+        const move = this.moves[this.index];
+        const player = this.game.findPlayer(move.player_id) || { _id: move.player_id };
+
+        return this.game.playerMove(player, move.payload)
+            .then(replayed => {
+                // The replayed game should make the same draws from the
+                // seed at the same point, otherwise it has diverged
+                if(replayed.round !== move.round || replayed.turn !== move.turn
+                    || (move.draws !== undefined && replayed.draws !== move.draws)) {
+                    throw new Error(`Replay out of sync at move ${this.index + 1}.`);
+                }
+
+                this.index++;
+
+                return flush();
+            });
+    }
+
+    /**
+     * Move the replay to just after the given number of moves
+     * @param {int} index The number of moves to apply
+     */
+    seek(index) {
+        index = Math.min(Math.max(index, 0), this.moves.length);
+
+        // Stepping back means playing the game again from the start
+        const start = !this.game || index < this.index ? this.reset() : Promise.resolve();
+
+        const step = () => this.applyEvents()
+            .then(() => {
+                if(this.index < index) {
+                    return this.applyMove().then(step);
+                }
+            });
+
+        return start
+            .then(step)
+            .then(() => {
+                const state = this.state();
+                this.emit('step', state);
+
+                return state;
+            });
+    }
+
+    stepForward() {
+        return this.seek(this.index + 1);
+    }
+
+    stepBack() {
+        return this.seek(this.index - 1);
+    }
+
+    /**
+     * Move the replay to the start of a turn
+     * @param {int} round
+     * @param {int} turn
+     */
+    jumpToTurn(round, turn = 1) {
+        const index = this.moves.findIndex(m => m.round > round || (m.round === round && m.turn >= turn));
+
+        return this.seek(index === -1 ? this.moves.length : index);
+    }
+
+    /**
+     * The current position of the replay
+     * @returns {object}
+     */
+    state() {
+        return {
+            index: this.index,
+            total: this.moves.length,
+            move: this.index > 0 ? this.game.toMoveJSONForPlayer(this.moves[this.index - 1], null) : null,
+            // The state is broadcast to the room, so nobody's hand is shown
+            game: this.game.toJSONForSpectator()
+        };
+    }
+}
+
+module.exports = Replay;
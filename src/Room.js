@@ -1,8 +1,45 @@
 const shortid = require('shortid');
 const slugify = require('slugify');
 
+const Chat = require('./Chat');
+const { Logger } = require('./logging');
 const Playlist = require('./Playlist');
+const Poll = require('./Poll');
+const Replay = require('./Replay');
+const Scoreboard = require('./Scoreboard');
 const ioHelpers = require('./helpers/io');
+const { isHashed, hashPassword, verifyPassword, createToken } = require('./helpers/password');
+const { createTransport } = require('./transports');
+const shuffle = require('./helpers/shuffle');
+const { TEAM_ASSIGN, SCORING, GAME_ERROR_ACTION, SNAPSHOT_VERSION } = require('./constants');
+
+/**
+ * Load the game class for a playlist entry
+ * @param {function} gameLoader GAMENIGHT platform provides a function to load a game.
+ * @param {object} plGame The game details representing a Game
+ */
+const loadGame = (gameLoader, plGame) => {
+    const gameName = slugify(plGame.name, {
+        remove: /[$*_+~.()'"!\-:@]/g,
+        lower: true
+    });
+
+    return gameLoader(gameName);
+};
+
+/**
+ * The IP address a socket connected from. Socket.IO sockets have a
+ * handshake, other transports can set socket.address themselves.
+ * @param {Socket} socket
+ * @returns {string|null}
+ */
+const socketAddress = socket => {
+    if(!socket) {
+        return null;
+    }
+
+    return (socket.handshake && socket.handshake.address) || socket.address || null;
+};
 
 /**
  * A room represents a group of players who are connected
@@ -14,29 +51,337 @@ class Room {
      * @param {string} name The name of the room
      * @param {string} host The UUID of the host player
      * @param {obj} settings Initial settings for the room
-     * @param {Server} io The Socket.IO Server
+     * @param {Server|object} io The Socket.IO Server or a transport
      */
     constructor(name, host, settings, io) {
         this.name = name;
         this.host = host._id;
         this.players = [];
-        this.playlist = new Playlist();
+        this.spectators = [];
+        this.teams = [];
         this.settings = Object.assign({
             privacy: 'public',
             mode: 'party',
             player_limit: 16,
+            playlist_limit: 10,
+            spectator_limit: 16,
+            // How games add to the session scoreboard, a SCORING enum
+            scoring: SCORING.PLACEMENT,
+            // Milliseconds a dropped player's seat is held for, 0 to remove them straight away
+            reconnect_timeout: 60000,
+            // Failed attempts to join allowed from a player or IP address in each interval
+            join_attempt_limit: 5,
+            join_attempt_interval: 60000,
+            // What happens when a game fails and can't recover, a GAME_ERROR_ACTION enum
+            game_error_action: GAME_ERROR_ACTION.SKIP,
             password: null
         }, settings);
+        // Resolves once a new password has been hashed
+        this.hashing = null;
+        if(this.settings.password && !isHashed(this.settings.password)) {
+            this.setPassword(this.settings.password);
+        }
+        // Invites that let players in without the password, keyed by token
+        this.invites = {};
+        // Times of failed attempts to join, keyed by player or IP address
+        this.joinAttempts = {};
+        this.playlist = new Playlist({ maxLength: this.settings.playlist_limit });
+        // Player IDs who can't join again
+        this.bans = [];
+        // A locked room doesn't let anyone new join
+        this.locked = false;
+        // Polls still open to votes
+        this.polls = [];
+        // Times the current playlist game was restarted after failing
+        this.gameRestarts = 0;
+        // Deadlines for dropped players to reconnect by, keyed by player ID
+        this.disconnected = {};
+        this.reconnectTimeouts = {};
 
         // Generate a private ID for the room and a code to join with
         this.id = shortid.generate();
         this.code = shortid.generate();
+        this.setLogger(Logger.createDefault());
         
-        // Create interface for emitting to sockets with io helper
+        this.connect(io);
+
+        this.chat = new Chat(this);
+        this.scoreboard = new Scoreboard(this, { scoring: this.settings.scoring });
+    }
+
+    /**
+     * Create interface for emitting to sockets with io helper
+     * @param {Server|object} io The Socket.IO Server or a transport
+     */
+    connect(io) {
         this.ioRoom = `room_${this.id}`;
-        this.io = ioHelpers(io, this.ioRoom);
+        this.transport = createTransport(io);
+        this.io = ioHelpers(this.transport, this.ioRoom);
+        this.send = this.io.send;
         this.broadcast = this.io.broadcast;
         this.broadcast_secret = this.io.broadcast_secret;
+        this.broadcast_filter = this.io.broadcast_filter;
+        this.find_socket = this.io.find_socket;
+    }
+
+    /**
+     * Record what happens in the room and its games
+     * @param {Logger} logger
+     */
+    setLogger(logger) {
+        this.logger = logger.child({ room_id: this.id });
+        if(this.game) {
+            this.game.logger = this.logger.child({ game: this.game.name });
+        }
+    }
+
+    /**
+     * Check whether someone new can enter the room, besides the password
+     * @param {string} player_id
+     * @param {string} invite An invite token, used in place of the password
+     * @returns {string|null} The reason entry is denied
+     */
+    checkEntry(player_id, invite = null) {
+        if(this.isBanned(player_id)) {
+            return 'You are banned from this room.';
+        }
+        if(this.locked) {
+            return 'Room is locked.';
+        }
+        if(invite) {
+            return this.checkInvite(invite);
+        }
+
+        return null;
+    }
+
+    /**
+     * Check an invite can still be used
+     * @param {string} token
+     * @returns {string|null} The reason the invite is refused
+     */
+    checkInvite(token) {
+        const invite = this.invites[token];
+        if(!invite) {
+            return 'Invite is not valid.';
+        }
+        if(invite.expires_at && invite.expires_at <= Date.now()) {
+            delete this.invites[token];
+            return 'Invite has expired.';
+        }
+
+        return null;
+    }
+
+    /**
+     * Count a use of an invite, single use invites are removed
+     * @param {string} token
+     */
+    useInvite(token) {
+        const invite = this.invites[token];
+        if(!invite || invite.uses === null) {
+            return;
+        }
+
+        invite.uses--;
+        if(invite.uses <= 0) {
+            delete this.invites[token];
+        }
+    }
+
+    /**
+     * The keys failed attempts to join are counted against
+     * @param {string} player_id
+     * @param {Socket} socket
+     * @returns {array}
+     */
+    attemptKeys(player_id, socket) {
+        const address = socketAddress(socket);
+
+        return address ? [`player:${player_id}`, `ip:${address}`] : [`player:${player_id}`];
+    }
+
+    /**
+     * Forget failed attempts to join older than the interval, including
+     * those of players and addresses that haven't tried again
+     */
+    pruneAttempts() {
+        const now = Date.now();
+        Object.keys(this.joinAttempts).forEach(key => {
+            const attempts = this.joinAttempts[key].filter(t => now - t < this.settings.join_attempt_interval);
+            if(attempts.length > 0) {
+                this.joinAttempts[key] = attempts;
+            } else {
+                delete this.joinAttempts[key];
+            }
+        });
+    }
+
+    /**
+     * Check whether a player or their IP address has failed to join too often
+     * @param {array} keys Created by attemptKeys
+     * @returns {string|null} The reason entry is denied
+     */
+    checkAttempts(keys) {
+        const now = Date.now();
+        const interval = this.settings.join_attempt_interval;
+
+        let wait = 0;
+        keys.forEach(key => {
+            // Forget attempts older than the interval
+            const attempts = (this.joinAttempts[key] || []).filter(t => now - t < interval);
+            if(attempts.length > 0) {
+                this.joinAttempts[key] = attempts;
+            } else {
+                delete this.joinAttempts[key];
+            }
+            if(attempts.length >= this.settings.join_attempt_limit) {
+                wait = Math.max(wait, attempts[0] + interval - now);
+            }
+        });
+
+        return wait > 0 ? `Too many attempts to join. Try again in ${Math.ceil(wait / 1000)} seconds.` : null;
+    }
+
+    /**
+     * Remember a failed attempt to join
+     * @param {array} keys Created by attemptKeys
+     * @returns {int} The time of the attempt
+     */
+    recordAttempt(keys) {
+        this.pruneAttempts();
+
+        const time = Date.now();
+        keys.forEach(key => {
+            this.joinAttempts[key] = (this.joinAttempts[key] || []).concat(time);
+        });
+
+        return time;
+    }
+
+    /**
+     * Take back an attempt to join that turned out to be allowed
+     * @param {array} keys Created by attemptKeys
+     * @param {int} time The time recordAttempt gave
+     */
+    forgetAttempt(keys, time) {
+        keys.forEach(key => {
+            const attempts = this.joinAttempts[key] || [];
+            const index = attempts.indexOf(time);
+            if(index > -1) {
+                attempts.splice(index, 1);
+            }
+            if(attempts.length === 0) {
+                delete this.joinAttempts[key];
+            }
+        });
+    }
+
+    /**
+     * Check the entry of someone new or returning, counting failed attempts, and
+     * let them in. Only the password of a private room is checked in the
+     * background, everyone else is let in straight away.
+     * @param {object} player
+     * @param {Socket} socket
+     * @param {boolean} exists Whether they are already in the room
+     * @param {string} password
+     * @param {string} invite
+     * @param {function} join Lets them in once they are allowed, returns a Promise
+     * @returns {Promise}
+     */
+    checkJoin(player, socket, exists, password, invite, join) {
+        const keys = this.attemptKeys(player._id, socket);
+        const reject = denied => {
+            this.logger.info('join_rejected', { player_id: player._id, reason: denied });
+
+            return Promise.reject(denied);
+        };
+
+        const throttled = this.checkAttempts(keys);
+        if(throttled) {
+            return reject(throttled);
+        }
+
+        const denied = exists && !invite ? null : this.checkEntry(player._id, invite);
+        if(denied) {
+            this.recordAttempt(keys);
+            return reject(denied);
+        }
+        if(invite || this.settings.privacy !== 'private') {
+            return join();
+        }
+
+        // Count the attempt while the password is checked, so
+        // guesses sent at the same time can't go over the limit
+        const time = this.recordAttempt(keys);
+
+        return this.checkPassword(password)
+            .then(denied => {
+                if(denied) {
+                    return reject(denied);
+                }
+
+                this.forgetAttempt(keys, time);
+                return join();
+            });
+    }
+
+    /**
+     * Check the password needed to enter a private room
+     * @param {string} password
+     * @returns {Promise} Resolves the reason entry is denied, null when it isn't
+     */
+    checkPassword(password) {
+        if(this.settings.privacy !== 'private') {
+            return Promise.resolve(null);
+        }
+        if(!password) {
+            return Promise.resolve('Room is private. Password required to enter.');
+        }
+
+        // Wait for a password that was just set to be hashed
+        return Promise.resolve(this.hashing)
+            .then(() => verifyPassword(password, this.settings.password))
+            .then(matches => matches ? null : 'Incorrect password.');
+    }
+
+    /**
+     * Set the password needed to enter a private room, it is
+     * hashed in the background without blocking the server
+     * @param {string} password
+     * @returns {Promise} Resolves once the password has been hashed
+     */
+    setPassword(password) {
+        this.settings.password = null;
+        const hashing = hashPassword(password)
+            .then(hash => {
+                // Only the last password set is kept
+                if(this.hashing === hashing) {
+                    this.settings.password = hash;
+                }
+            }, error => {
+                this.logger.error('password_failed', { error });
+            });
+        this.hashing = hashing;
+
+        return hashing;
+    }
+
+    /**
+     * Check whether a player is the host of the room
+     * @param {string} player_id
+     * @returns {boolean}
+     */
+    isHost(player_id) {
+        return player_id !== undefined && player_id !== null && player_id.toString() === this.host.toString();
+    }
+
+    /**
+     * Find a spectator by UUID
+     * @param {string} id The UUID of the spectator
+     */
+    findSpectator(id) {
+        return this.spectators.find(s => s._id == id);
     }
 
     /**
@@ -44,39 +389,122 @@ class Room {
      * @param {Player} player
      * @param {Socket} socket
      * @param {string} password
+     * @param {string} invite An invite token, used in place of the password
      */
-    addPlayer(player, socket, password = null) {
+    addPlayer(player, socket, password = null, invite = null) {
         const exists = this.players.find(p => p._id == player._id);
-        if(this.players.length === this.settings.player_limit) {
+        if(exists && exists.bot) {
+            return Promise.reject('Your seat has been taken by a bot.');
+        }
+        if(exists && this.disconnected[player._id]) {
+            // The player's seat was held for them
+            return this.reconnectPlayer(exists, socket);
+        }
+
+        if(!exists && this.players.length >= this.settings.player_limit) {
             return Promise.reject('Room is full.');
         }
 
-        if(this.settings.privacy === 'private') {
-            if(!password) {
-                return Promise.reject('Room is private. Password required to enter.');
-            }
-            if(this.settings.password != password) {
-                return Promise.reject('Incorrect password.');
-            }
+        return this.checkJoin(player, socket, exists, password, invite, () => this.joinPlayer(player, socket, invite));
+    }
+
+    /**
+     * Let a player into the room once they have been allowed in
+     * @param {Player} player
+     * @param {Socket} socket
+     * @param {string} invite The invite token they used
+     */
+    joinPlayer(player, socket, invite) {
+        const exists = this.players.find(p => p._id == player._id);
+        if(!exists && this.players.length >= this.settings.player_limit) {
+            // The room filled up while the password was checked
+            return Promise.reject('Room is full.');
+        }
+        if(this.findSpectator(player._id)) {
+            return Promise.reject('Spectators must be promoted by the host to play.');
+        }
+        if(invite) {
+            this.useInvite(invite);
         }
 
         if(!exists) {
             this.players.push(player);
             player.rooms.push(this.id);
         }
-        socket.join(this.ioRoom);
-
-        const roomForPlayer = this.toJSON();
-        if(this.game) {
-            roomForPlayer.game = this.game.toJSONForPlayer(player._id);
-        }
+        this.transport.join(socket, this.ioRoom);
+        this.logger.info('player_join', { player_id: player._id, invite: !!invite });
 
         if(this.players.length > 1) {
             // Notify the room that player has joined
             this.broadcast('player_join', { player });
         }
 
-        return Promise.resolve(roomForPlayer);
+        return Promise.resolve(this.toJSONForPlayer(player._id));
+    }
+
+    /**
+     * Hold a dropped player's seat until they reconnect with addPlayer.
+     * They are removed if they don't return within reconnect_timeout.
+     * @param {Player} player
+     * @param {Socket} socket
+     */
+    disconnectPlayer(player, socket) {
+        if(!this.players.find(p => p._id == player._id)) {
+            return Promise.reject('Not in room.');
+        }
+
+        this.transport.leave(socket, this.ioRoom);
+
+        if(!this.settings.reconnect_timeout) {
+            return this.removePlayer(player, socket);
+        }
+        if(this.disconnected[player._id]) {
+            return Promise.resolve(this.disconnected[player._id]);
+        }
+
+        const deadline = Date.now() + this.settings.reconnect_timeout;
+        this.disconnected[player._id] = deadline;
+        this.reconnectTimeouts[player._id] = setTimeout(() => {
+            this.removePlayer(player, socket);
+        }, this.settings.reconnect_timeout);
+
+        this.broadcast('player_disconnected', { player, deadline });
+        this.logger.info('player_disconnect', { player_id: player._id, deadline });
+
+        if(this.game) {
+            this.game.handlePlayerDisconnect(player);
+        }
+
+        return Promise.resolve(deadline);
+    }
+
+    /**
+     * Give a dropped player their seat back
+     * @param {Player} player
+     * @param {Socket} socket
+     */
+    reconnectPlayer(player, socket) {
+        this.clearDisconnected(player._id);
+        this.transport.join(socket, this.ioRoom);
+
+        this.broadcast('player_reconnected', { player });
+        this.logger.info('player_reconnect', { player_id: player._id });
+
+        if(this.game) {
+            this.game.handlePlayerReconnect(player);
+        }
+
+        return Promise.resolve(this.toJSONForPlayer(player._id));
+    }
+
+    /**
+     * Stop holding a player's seat
+     * @param {string} player_id
+     */
+    clearDisconnected(player_id) {
+        clearTimeout(this.reconnectTimeouts[player_id]);
+        delete this.reconnectTimeouts[player_id];
+        delete this.disconnected[player_id];
     }
 
     /**
@@ -85,138 +513,1213 @@ class Room {
      * @param {Socket} socket
      */
     removePlayer(player, socket) {
-        const index = this.players.find(p => p._id == player._id);
+        const index = this.players.findIndex(p => p._id == player._id);
         if(index === -1) {
             return Promise.reject('Not in room.');
         }
 
         this.players.splice(index, 1);
-        const rIndex = player.rooms.find(r => r.id == this.id);
+        const rIndex = player.rooms.indexOf(this.id);
         if(rIndex > -1) {
             player.rooms.splice(rIndex, 1);
         }
+        this.clearDisconnected(player._id);
+        this.teams.forEach(t => {
+            t.players = t.players.filter(id => id != player._id);
+        });
+        this.polls.forEach(poll => poll.removeVoter(player._id));
 
-        socket.leave(this.ioRoom);
+        if(socket) {
+            this.transport.leave(socket, this.ioRoom);
+        }
+        this.logger.info('player_leave', { player_id: player._id });
 
         // Players can leave freely during room setup but
         // if there is an active game then we notify it.
         if(this.playlist.index > -1 && this.game) {
-            this.game.handlePlayerLeave(player);
+            this.game.detach(this.game.handlePlayerLeave(player));
         }
 
         if(this.players.length > 0) {
             this.broadcast('player_leave', { player });
+
+            if(this.isHost(player._id)) {
+                // Hand the room to the player who has been here longest
+                const newHost = this.players.find(p => !p.bot) || this.players[0];
+                this.host = newHost._id;
+                this.logger.info('host_change', { host_id: newHost._id, previous_host_id: player._id });
+
+                this.broadcast('room/update_settings', {
+                    room: this.toJSON(),
+                    changes: [`${player.username} left, ${newHost.username} is now the host.`]
+                });
+            }
         }
 
         return Promise.resolve(index > -1);
     }
 
     /**
-     * Set the name of the room
-     * @param {string} name The new name of the room
+     * Create an invite that lets players into the room without the password
+     * @param {string} host_id The UUID of the player asking
+     * @param {object} options
+     * @param {int} options.uses How many players can join with it, null for no limit
+     * @param {int} options.expiresIn Milliseconds until it expires, null for never
+     * @returns {Promise} Resolves the invite, only the host should be sent its token
      */
-    setName(name) {
-        this.name = name;
-        this.broadcast('room/update_settings', {
-            room: this.toJSON(),
-            changes: [`Room name changed to ${this.name}.`]
-        });
+    createInvite(host_id, options = {}) {
+        if(!this.isHost(host_id)) {
+            return Promise.reject('Only the host can do that.');
+        }
+
+        const invite = {
+            token: createToken(),
+            uses: options.uses === undefined ? 1 : options.uses,
+            expires_at: options.expiresIn ? Date.now() + options.expiresIn : null,
+            created_at: Date.now()
+        };
+        this.invites[invite.token] = invite;
+
+        return Promise.resolve(invite);
     }
 
     /**
-     * Change the host player of the room
-     * @param {string} player_id The UUID of the new host player
+     * Stop an invite from letting anyone else in
+     * @param {string} host_id The UUID of the player asking
+     * @param {string} token
      */
-    changeHost(player_id) {
-        const oldHost = this.players.find(u => u._id.toString() === this.host.toString());
-        const newHost = this.players.find(u => u._id.toString() === player_id.toString());
-        if(newHost === null) {
-            return Promsie.reject('Player is not in room');
+    revokeInvite(host_id, token) {
+        if(!this.isHost(host_id)) {
+            return Promise.reject('Only the host can do that.');
+        }
+        if(!this.invites[token]) {
+            return Promise.reject('Invite is not valid.');
         }
 
-        this.host = newHost._id;
-
-        this.broadcast('room/update_settings', {
-            room: this.toJSON(),
-            changes: [`${oldHost.username} made ${newHost.username} the host.`]
-        });
+        delete this.invites[token];
 
-        return Promise.resolve(newHost);
+        return Promise.resolve(true);
     }
 
     /**
-     * Update the room settings
-     * @param {object} settings New settings
+     * Add a bot player to the room, bots join the next game that starts
+     * @param {string} host_id The UUID of the player asking, must be the host
+     * @param {object} options
+     * @param {string} options.username
      */
-    updateSettings(settings) {
-        if(settings.privacy && settings.privacy != this.settings.privacy) {
-            this.code = shortid.generate();
-            this.settings.privacy = settings.privacy;
+    addBot(host_id, options = {}) {
+        if(!this.isHost(host_id)) {
+            return Promise.reject('Only the host can do that.');
         }
-        if(settings.password && this.settings.privacy === 'private') {
-            this.settings.password = settings.password;
-        }
-        if(settings.player_limit) {
-            this.settings.player_limit = settings.player_limit;
+        if(this.players.length >= this.settings.player_limit) {
+            return Promise.reject('Room is full.');
         }
+
+        const bot = {
+            _id: `bot_${shortid.generate()}`,
+            username: options.username || `Bot ${this.players.filter(p => p.bot).length + 1}`,
+            bot: true,
+            rooms: [this.id]
+        };
+        this.players.push(bot);
+
+        this.broadcast('player_join', { player: bot });
+
+        return Promise.resolve(bot);
     }
 
     /**
-     * Add a game to the room's playlist
-     * @param {object} game The game details representing a Game
+     * Take a bot out of the room
+     * @param {string} host_id The UUID of the player asking, must be the host
+     * @param {string} player_id
      */
-    addGame(game) {
-        this.playlist.add(game);
-        
-        this.broadcast('room/update_playlist', { playlist: this.playlist });
+    removeBot(host_id, player_id) {
+        if(!this.isHost(host_id)) {
+            return Promise.reject('Only the host can do that.');
+        }
+
+        const bot = this.players.find(p => p._id == player_id && p.bot);
+        if(!bot) {
+            return Promise.reject('Bot is not in room.');
+        }
+
+        return this.removePlayer(bot);
     }
 
     /**
-     * Start the room's playlist
-     * @param {function} gameLoader GAMENIGHT platform provides a function to load a game.
+     * Hand a player's seat to a bot, i.e. when they have dropped and
+     * aren't coming back. The bot keeps their place in the game.
+     * @param {string} host_id The UUID of the player asking, must be the host
+     * @param {string} player_id
      */
-    start(gameLoader) {
-        // Start the room's playlist
-        const plGame = this.playlist.next();
-        if(!plGame) {
-            this.broadcast('room/playlist_end');
-            return false;
+    replaceWithBot(host_id, player_id) {
+        if(!this.isHost(host_id)) {
+            return Promise.reject('Only the host can do that.');
         }
 
-        const gameName = slugify(plGame.name, {
-            remove: /[$*_+~.()'"!\-:@]/g,
-            lower: true
-        });
-        const Game = gameLoader(gameName);
+        const index = this.players.findIndex(p => p._id == player_id);
+        if(index === -1) {
+            return Promise.reject('Not in room.');
+        }
+        if(this.isHost(player_id)) {
+            return Promise.reject('The host can\'t be replaced.');
+        }
 
-        this.game = new Game(plGame, this, this.io);
+        const player = this.players[index];
+        const bot = {
+            _id: player._id,
+            username: `${player.username} (Bot)`,
+            bot: true,
+            rooms: [this.id]
+        };
+        this.players[index] = bot;
+        this.clearDisconnected(player._id);
+        const rIndex = (player.rooms || []).indexOf(this.id);
+        if(rIndex > -1) {
+            player.rooms.splice(rIndex, 1);
+        }
 
-        this.game.init();
+        this.broadcast('room/player_bot', { player: bot });
 
-        this.game.on('end', () => {
-            setTimeout(() => {
-                this.start();
-            }, this.game.settings.resultsTimeout);
+        if(this.game) {
+            this.game.handlePlayerBot(player._id);
+        }
+
+        return Promise.resolve(bot);
+    }
+
+    /**
+     * Ask the room to vote, i.e. to kick a player or skip a game.
+     * Everyone but bots can vote unless voters are given.
+     * @param {string} host_id The UUID of the player asking, must be the host
+     * @param {object} options See Poll
+     * @returns {Promise} Resolves the Poll, wait for poll.promise for the result
+     */
+    createPoll(host_id, options) {
+        if(!this.isHost(host_id)) {
+            return Promise.reject('Only the host can do that.');
+        }
+
+        const poll = new Poll(this, Object.assign({
+            voters: this.players.filter(p => !p.bot).map(p => p._id)
+        }, options, { prefix: 'room' }));
+        this.polls.push(poll);
+        poll.on('end', () => {
+            this.polls = this.polls.filter(p => p !== poll);
         });
 
-        this.broadcast('room/update_playlist', { playlist: this.playlist });
+        return Promise.resolve(poll.open());
     }
 
-    toJSON() {
-        // When converting the room to JSON, hide the
-        // ID, join password and any active games.
-        const settings = Object.assign({}, this.settings);
-        delete settings.password;
+    /**
+     * Vote in one of the room's polls
+     * @param {string} poll_id
+     * @param {string} player_id
+     * @param {string} option The ID of the option
+     */
+    vote(poll_id, player_id, option) {
+        const poll = this.polls.find(p => p.id === poll_id);
+        if(!poll) {
+            return Promise.reject('Poll has closed.');
+        }
 
-        return {
-            name: this.name,
-            code: this.code,
-            host: this.host,
-            players: this.players,
-            playlist: this.playlist,
+        return poll.vote(player_id, option);
+    }
+
+    /**
+     * Add a spectator to the room, they can watch
+     * the game but don't take a place in it
+     * @param {Player} player
+     * @param {Socket} socket
+     * @param {string} password
+     * @param {string} invite An invite token, used in place of the password
+     */
+    addSpectator(player, socket, password = null, invite = null) {
+        const exists = this.findSpectator(player._id);
+        if(!exists && this.spectators.length >= this.settings.spectator_limit) {
+            return Promise.reject('Room is full of spectators.');
+        }
+
+        return this.checkJoin(player, socket, exists, password, invite, () => this.joinSpectator(player, socket, invite));
+    }
+
+    /**
+     * Let a spectator into the room once they have been allowed in
+     * @param {Player} player
+     * @param {Socket} socket
+     * @param {string} invite The invite token they used
+     */
+    joinSpectator(player, socket, invite) {
+        const exists = this.findSpectator(player._id);
+        if(!exists && this.spectators.length >= this.settings.spectator_limit) {
+            // The room filled up while the password was checked
+            return Promise.reject('Room is full of spectators.');
+        }
+        if(this.players.find(p => p._id == player._id)) {
+            return Promise.reject('Already playing in room.');
+        }
+        if(invite) {
+            this.useInvite(invite);
+        }
+
+        if(!exists) {
+            this.spectators.push(player);
+            player.rooms.push(this.id);
+        }
+        this.transport.join(socket, this.ioRoom);
+
+        const roomForSpectator = this.toJSON();
+        if(this.game) {
+            roomForSpectator.game = this.game.toJSONForSpectator();
+        }
+
+        this.broadcast('spectator_join', { player });
+
+        return Promise.resolve(roomForSpectator);
+    }
+
+    /**
+     * Remove a spectator from the room
+     * @param {Player} player
+     * @param {Socket} socket
+     */
+    removeSpectator(player, socket) {
+        const index = this.spectators.findIndex(s => s._id == player._id);
+        if(index === -1) {
+            return Promise.reject('Not in room.');
+        }
+
+        this.spectators.splice(index, 1);
+        const rIndex = player.rooms.indexOf(this.id);
+        if(rIndex > -1) {
+            player.rooms.splice(rIndex, 1);
+        }
+
+        if(socket) {
+            this.transport.leave(socket, this.ioRoom);
+        }
+
+        this.broadcast('spectator_leave', { player });
+
+        return Promise.resolve(true);
+    }
+
+    /**
+     * Move a spectator into the players of the room. They
+     * join the next game that starts on the playlist.
+     * @param {string} host_id The UUID of the host
+     * @param {string} player_id The UUID of the spectator
+     */
+    promoteSpectator(host_id, player_id) {
+        if(!this.isHost(host_id)) {
+            return Promise.reject('Only the host can do that.');
+        }
+
+        const spectator = this.findSpectator(player_id);
+        if(!spectator) {
+            return Promise.reject('Player is not spectating.');
+        }
+        if(this.players.length >= this.settings.player_limit) {
+            return Promise.reject('Room is full.');
+        }
+
+        this.spectators = this.spectators.filter(s => s !== spectator);
+        this.players.push(spectator);
+
+        this.broadcast('room/spectator_promoted', { player: spectator });
+
+        return Promise.resolve(spectator);
+    }
+
+    /**
+     * Send a chat message to the room
+     * @param {Player} player
+     * @param {string} text
+     */
+    sendMessage(player, text) {
+        return this.chat.send(player, text);
+    }
+
+    /**
+     * Stop a player from chatting
+     * @param {string} host_id The UUID of the player asking, must be the host
+     * @param {string} player_id
+     * @param {int} duration Milliseconds to mute for, until unmuted when not given
+     */
+    mutePlayer(host_id, player_id, duration = null) {
+        if(!this.isHost(host_id)) {
+            return Promise.reject('Only the host can do that.');
+        }
+
+        this.chat.mute(player_id, duration);
+
+        return Promise.resolve(true);
+    }
+
+    /**
+     * Let a muted player chat again
+     * @param {string} host_id The UUID of the player asking, must be the host
+     * @param {string} player_id
+     */
+    unmutePlayer(host_id, player_id) {
+        if(!this.isHost(host_id)) {
+            return Promise.reject('Only the host can do that.');
+        }
+
+        this.chat.unmute(player_id);
+
+        return Promise.resolve(true);
+    }
+
+    /**
+     * Remove a player and their messages from the chat
+     * @param {string} host_id The UUID of the player asking, must be the host
+     * @param {string} player_id
+     */
+    kickFromChat(host_id, player_id) {
+        if(!this.isHost(host_id)) {
+            return Promise.reject('Only the host can do that.');
+        }
+
+        this.chat.kick(player_id);
+
+        return Promise.resolve(true);
+    }
+
+    /**
+     * Remove a player or spectator from the room
+     * @param {string} host_id The UUID of the player asking, must be the host
+     * @param {string} player_id
+     * @param {string} reason Shown to the kicked player
+     */
+    kickPlayer(host_id, player_id, reason = null) {
+        if(!this.isHost(host_id)) {
+            return Promise.reject('Only the host can do that.');
+        }
+        if(this.isHost(player_id)) {
+            return Promise.reject('The host can\'t be kicked.');
+        }
+
+        const player = this.players.find(p => p._id == player_id);
+        const spectator = this.findSpectator(player_id);
+        if(!player && !spectator) {
+            return Promise.reject('Player is not in room.');
+        }
+
+        return this.find_socket(player_id.toString())
+            // The player may have dropped already
+            .catch(() => null)
+            .then(socket => {
+                if(socket) {
+                    this.send(socket, 'room/kicked', { reason });
+                }
+
+                return player ? this.removePlayer(player, socket) : this.removeSpectator(spectator, socket);
+            })
+            .then(() => {
+                this.broadcast('room/player_kicked', { player_id, reason });
+                this.logger.info('player_kick', { player_id, reason });
+
+                return true;
+            });
+    }
+
+    /**
+     * Check whether a player is banned from the room
+     * @param {string} player_id
+     * @returns {boolean}
+     */
+    isBanned(player_id) {
+        return this.bans.some(id => id == player_id);
+    }
+
+    /**
+     * Kick a player and stop them joining again
+     * @param {string} host_id The UUID of the player asking, must be the host
+     * @param {string} player_id
+     * @param {string} reason Shown to the banned player
+     */
+    banPlayer(host_id, player_id, reason = null) {
+        if(!this.isHost(host_id)) {
+            return Promise.reject('Only the host can do that.');
+        }
+        if(this.isHost(player_id)) {
+            return Promise.reject('The host can\'t be banned.');
+        }
+
+        if(!this.isBanned(player_id)) {
+            this.bans.push(player_id);
+        }
+
+        const inRoom = this.players.find(p => p._id == player_id) || this.findSpectator(player_id);
+        const kick = inRoom ? this.kickPlayer(host_id, player_id, reason) : Promise.resolve(true);
+
+        return kick.then(() => {
+            this.broadcast('room/player_banned', { player_id });
+            this.logger.info('player_ban', { player_id });
+
+            return true;
+        });
+    }
+
+    /**
+     * Let a banned player join again
+     * @param {string} host_id The UUID of the player asking, must be the host
+     * @param {string} player_id
+     */
+    unbanPlayer(host_id, player_id) {
+        if(!this.isHost(host_id)) {
+            return Promise.reject('Only the host can do that.');
+        }
+
+        this.bans = this.bans.filter(id => id != player_id);
+
+        return Promise.resolve(true);
+    }
+
+    /**
+     * Stop anyone new joining the room
+     * @param {string} host_id The UUID of the player asking, must be the host
+     */
+    lockRoom(host_id) {
+        if(!this.isHost(host_id)) {
+            return Promise.reject('Only the host can do that.');
+        }
+
+        this.locked = true;
+        this.broadcast('room/lock', { locked: true });
+
+        return Promise.resolve(true);
+    }
+
+    /**
+     * Let new players join the room again
+     * @param {string} host_id The UUID of the player asking, must be the host
+     */
+    unlockRoom(host_id) {
+        if(!this.isHost(host_id)) {
+            return Promise.reject('Only the host can do that.');
+        }
+
+        this.locked = false;
+        this.broadcast('room/lock', { locked: false });
+
+        return Promise.resolve(true);
+    }
+
+    /**
+     * Split the room into teams, replacing any existing teams
+     * @param {string} host_id The UUID of the player asking, must be the host
+     * @param {array} names The name of each team
+     */
+    setTeams(host_id, names) {
+        if(!this.isHost(host_id)) {
+            return Promise.reject('Only the host can do that.');
+        }
+
+        this.teams = names.map(name => ({
+            id: slugify(name, { lower: true }),
+            name,
+            players: []
+        }));
+
+        this.broadcast('room/update_teams', { teams: this.teams });
+
+        return Promise.resolve(this.teams);
+    }
+
+    /**
+     * Find the team a player is on
+     * @param {string} player_id
+     */
+    findTeam(player_id) {
+        return this.teams.find(t => t.players.some(id => id == player_id));
+    }
+
+    /**
+     * Move a player onto a team
+     * @param {string} host_id The UUID of the player asking, must be the host
+     * @param {string} player_id
+     * @param {string} team_id
+     */
+    assignTeam(host_id, player_id, team_id) {
+        if(!this.isHost(host_id)) {
+            return Promise.reject('Only the host can do that.');
+        }
+        const team = this.teams.find(t => t.id === team_id);
+        if(!team) {
+            return Promise.reject('Team does not exist.');
+        }
+        const player = this.players.find(p => p._id == player_id);
+        if(!player) {
+            return Promise.reject('Player is not in room.');
+        }
+
+        this.teams.forEach(t => {
+            t.players = t.players.filter(id => id != player_id);
+        });
+        team.players.push(player._id);
+
+        this.broadcast('room/update_teams', { teams: this.teams });
+
+        return Promise.resolve(team);
+    }
+
+    /**
+     * Put players on teams automatically
+     * @param {string} host_id The UUID of the player asking, must be the host
+     * @param {string} method A TEAM_ASSIGN enum
+     */
+    assignTeams(host_id, method = TEAM_ASSIGN.BALANCE) {
+        if(!this.isHost(host_id)) {
+            return Promise.reject('Only the host can do that.');
+        }
+        if(this.teams.length === 0) {
+            return Promise.reject('Room has no teams.');
+        }
+
+        let players = this.players;
+        if(method === TEAM_ASSIGN.RANDOM) {
+            this.teams.forEach(t => {
+                t.players = [];
+            });
+            players = shuffle(this.players);
+        }
+
+        players
+            .filter(p => !this.findTeam(p._id))
+            .forEach(p => {
+                // Fill the smallest team first
+                const smallest = this.teams.reduce((min, t) => t.players.length < min.players.length ? t : min);
+                smallest.players.push(p._id);
+            });
+
+        this.broadcast('room/update_teams', { teams: this.teams });
+
+        return Promise.resolve(this.teams);
+    }
+
+    /**
+     * Send an event to the sockets of one team only
+     * @param {string} team_id
+     * @param {string} event
+     * @param {object} payload
+     * @returns {Promise}
+     */
+    broadcastToTeam(team_id, event, payload) {
+        const team = this.teams.find(t => t.id === team_id);
+        if(!team) {
+            return Promise.resolve();
+        }
+
+        return this.broadcast_filter(event, payload, socket => team.players.some(id => id == socket.user._id.toString()))
+            .catch(error => {
+                // Nothing waits on the broadcast to pass the failure on to
+                this.logger.error('broadcast_failed', { broadcast: event, error });
+            });
+    }
+
+    /**
+     * Set the name of the room
+     * @param {string} host_id The UUID of the player asking, must be the host
+     * @param {string} name The new name of the room
+     */
+    setName(host_id, name) {
+        if(!this.isHost(host_id)) {
+            return Promise.reject('Only the host can do that.');
+        }
+
+        this.name = name;
+        this.broadcast('room/update_settings', {
+            room: this.toJSON(),
+            changes: [`Room name changed to ${this.name}.`]
+        });
+
+        return Promise.resolve(this.name);
+    }
+
+    /**
+     * Change the host player of the room
+     * @param {string} host_id The UUID of the player asking, must be the host
+     * @param {string} player_id The UUID of the new host player
+     */
+    changeHost(host_id, player_id) {
+        if(!this.isHost(host_id)) {
+            return Promise.reject('Only the host can do that.');
+        }
+
+        const oldHost = this.players.find(u => u._id.toString() === this.host.toString());
+        const newHost = this.players.find(u => u._id.toString() === player_id.toString());
+        if(!newHost) {
+            return Promise.reject('Player is not in room.');
+        }
+
+        this.host = newHost._id;
+        this.logger.info('host_change', { host_id: newHost._id, previous_host_id: oldHost ? oldHost._id : null });
+
+        this.broadcast('room/update_settings', {
+            room: this.toJSON(),
+            changes: [oldHost ? `${oldHost.username} made ${newHost.username} the host.` : `${newHost.username} is now the host.`]
+        });
+
+        return Promise.resolve(newHost);
+    }
+
+    /**
+     * Update the room settings
+     * @param {string} host_id The UUID of the player asking, must be the host
+     * @param {object} settings New settings
+     */
+    updateSettings(host_id, settings) {
+        if(!this.isHost(host_id)) {
+            return Promise.reject('Only the host can do that.');
+        }
+        if(settings.scoring && !Object.keys(SCORING).includes(settings.scoring)) {
+            return Promise.reject('Unknown scoring rule.');
+        }
+        if(settings.game_error_action && !Object.keys(GAME_ERROR_ACTION).includes(settings.game_error_action)) {
+            return Promise.reject('Unknown game error action.');
+        }
+
+        if(settings.privacy && settings.privacy != this.settings.privacy) {
+            this.code = shortid.generate();
+            this.settings.privacy = settings.privacy;
+        }
+        let hashing = null;
+        if(settings.password && this.settings.privacy === 'private') {
+            hashing = this.setPassword(settings.password);
+        }
+        if(settings.player_limit) {
+            this.settings.player_limit = settings.player_limit;
+        }
+        if(settings.spectator_limit !== undefined) {
+            this.settings.spectator_limit = settings.spectator_limit;
+        }
+        if(settings.reconnect_timeout !== undefined) {
+            this.settings.reconnect_timeout = settings.reconnect_timeout;
+        }
+        if(settings.scoring) {
+            this.settings.scoring = settings.scoring;
+            this.scoreboard.setRules({ scoring: settings.scoring });
+        }
+        if(settings.playlist_limit) {
+            this.settings.playlist_limit = settings.playlist_limit;
+            this.playlist.maxLength = settings.playlist_limit;
+        }
+        if(settings.game_error_action) {
+            this.settings.game_error_action = settings.game_error_action;
+        }
+
+        return Promise.resolve(hashing).then(() => this.settings);
+    }
+
+    /**
+     * Add a game to the room's playlist
+     * @param {string} host_id The UUID of the player asking, must be the host
+     * @param {object} game The game details representing a Game
+     */
+    addGame(host_id, game) {
+        if(!this.isHost(host_id)) {
+            return Promise.reject('Only the host can do that.');
+        }
+        if(!this.playlist.add(game)) {
+            return Promise.reject('Playlist is full.');
+        }
+        
+        this.updatePlaylist({ type: 'add', game, index: this.playlist.games.length - 1 });
+
+        return Promise.resolve(this.playlist);
+    }
+
+    /**
+     * Let everyone know the playlist has changed
+     * @param {object} change What changed, i.e. { type: 'remove', index: 2 }
+     */
+    updatePlaylist(change) {
+        this.broadcast('room/update_playlist', { playlist: this.playlist, change });
+    }
+
+    /**
+     * Add a game to play after the current one
+     * @param {string} host_id The UUID of the player asking, must be the host
+     * @param {object} game The game details representing a Game
+     */
+    insertNextGame(host_id, game) {
+        if(!this.isHost(host_id)) {
+            return Promise.reject('Only the host can do that.');
+        }
+        if(!this.playlist.insertNext(game)) {
+            return Promise.reject('Playlist is full.');
+        }
+
+        this.updatePlaylist({ type: 'insert', game, index: this.playlist.index + 1 });
+
+        return Promise.resolve(this.playlist);
+    }
+
+    /**
+     * Remove a game that hasn't been played from the playlist
+     * @param {string} host_id The UUID of the player asking, must be the host
+     * @param {int} index
+     */
+    removeGame(host_id, index) {
+        if(!this.isHost(host_id)) {
+            return Promise.reject('Only the host can do that.');
+        }
+
+        const game = this.playlist.remove(index);
+        if(!game) {
+            return Promise.reject('Only games still to be played can be removed.');
+        }
+
+        this.updatePlaylist({ type: 'remove', game, index });
+
+        return Promise.resolve(this.playlist);
+    }
+
+    /**
+     * Move a game that hasn't been played in the playlist
+     * @param {string} host_id The UUID of the player asking, must be the host
+     * @param {int} from
+     * @param {int} to
+     */
+    moveGame(host_id, from, to) {
+        if(!this.isHost(host_id)) {
+            return Promise.reject('Only the host can do that.');
+        }
+        if(!this.playlist.move(from, to)) {
+            return Promise.reject('Only games still to be played can be moved.');
+        }
+
+        this.updatePlaylist({ type: 'move', from, to });
+
+        return Promise.resolve(this.playlist);
+    }
+
+    /**
+     * Change how the playlist carries on after each game
+     * @param {string} host_id The UUID of the player asking, must be the host
+     * @param {object} options
+     * @param {string} options.mode A PLAYLIST_MODE enum
+     * @param {boolean} options.shuffle Pick the next game at random
+     * @param {boolean} options.voting Let players vote for the next game
+     */
+    setPlaylistOptions(host_id, options) {
+        if(!this.isHost(host_id)) {
+            return Promise.reject('Only the host can do that.');
+        }
+        if(options.mode !== undefined && !this.playlist.setMode(options.mode)) {
+            return Promise.reject('Unknown playlist mode.');
+        }
+        if(options.shuffle !== undefined) {
+            this.playlist.shuffle = !!options.shuffle;
+        }
+        if(options.voting !== undefined) {
+            this.playlist.voting = !!options.voting;
+            this.playlist.votes = {};
+        }
+
+        this.updatePlaylist({
+            type: 'options',
+            mode: this.playlist.mode,
+            shuffle: this.playlist.shuffle,
+            voting: this.playlist.voting
+        });
+
+        return Promise.resolve(this.playlist);
+    }
+
+    /**
+     * Vote for the game to play next
+     * @param {string} player_id
+     * @param {int} index
+     */
+    voteNextGame(player_id, index) {
+        if(!this.players.find(p => p._id == player_id)) {
+            return Promise.reject('Player is not in room.');
+        }
+        if(!this.playlist.vote(player_id, index)) {
+            return Promise.reject('You can\'t vote for that game.');
+        }
+
+        this.broadcast('room/playlist_vote', { tally: this.playlist.tally() });
+
+        return Promise.resolve(true);
+    }
+
+    /**
+     * Stop the current game and move on to the next
+     * @param {string} host_id The UUID of the player asking, must be the host
+     */
+    skipGame(host_id) {
+        if(!this.isHost(host_id)) {
+            return Promise.reject('Only the host can do that.');
+        }
+
+        return this.skipCurrentGame();
+    }
+
+    /**
+     * Stop the current game and move on to the next, without asking the host
+     */
+    skipCurrentGame() {
+        if(!this.game) {
+            return Promise.reject('No game is being played.');
+        }
+
+        this.stopGame();
+        this.updatePlaylist({ type: 'skip', index: this.playlist.index });
+
+        return this.playGame(this.playlist.next(true));
+    }
+
+    /**
+     * Stop the current game and start it again from the beginning
+     * @param {string} host_id The UUID of the player asking, must be the host
+     */
+    restartGame(host_id) {
+        if(!this.isHost(host_id)) {
+            return Promise.reject('Only the host can do that.');
+        }
+
+        return this.restartCurrentGame();
+    }
+
+    /**
+     * Stop the current game and start it again from the beginning, without asking the host
+     */
+    restartCurrentGame() {
+        if(!this.game) {
+            return Promise.reject('No game is being played.');
+        }
+
+        this.stopGame();
+        this.gameRestarts++;
+        this.updatePlaylist({ type: 'restart', index: this.playlist.index });
+
+        return this.playGame(this.playlist.games[this.playlist.index], true);
+    }
+
+    /**
+     * Stop listening to the current game, destroying it if it hasn't ended
+     */
+    stopGame() {
+        clearTimeout(this.nextGameTimeout);
+        this.game.removeAllListeners('end');
+        this.game.removeAllListeners('failure');
+        this.game.removeAllListeners('destroy');
+        if(!this.game.endResults) {
+            this.game.destroy();
+        }
+    }
+
+    /**
+     * Start the room's playlist
+     * @param {string} host_id The UUID of the player asking, must be the host
+     * @param {function} gameLoader GAMENIGHT platform provides a function to load a game.
+     */
+    start(host_id, gameLoader) {
+        if(!this.isHost(host_id)) {
+            return Promise.reject('Only the host can do that.');
+        }
+
+        // Start the room's playlist
+        this.gameLoader = gameLoader;
+
+        return this.playGame(this.playlist.next());
+    }
+
+    /**
+     * Load and start a game from the playlist
+     * @param {object|false} plGame The game details representing a Game, false at the end of the playlist
+     * @param {boolean} restart Whether the game is being played again after it failed
+     */
+    playGame(plGame, restart = false) {
+        if(!restart) {
+            this.gameRestarts = 0;
+        }
+        if(!plGame) {
+            this.game = null;
+            this.broadcast('room/playlist_end');
+            this.logger.info('playlist_end');
+            return Promise.resolve(false);
+        }
+
+        const Game = loadGame(this.gameLoader, plGame);
+        this.logger.info('game_load', { game: plGame.name, index: this.playlist.index });
+
+        this.game = new Game(plGame, this, this.io);
+
+        // Watch before init, games can fail during setup
+        this.watchGame();
+
+        this.game.init();
+
+        this.updatePlaylist({ type: 'start', index: this.playlist.index });
+
+        return Promise.resolve(this.game);
+    }
+
+    /**
+     * Move on to the next game in the playlist when the active game ends
+     */
+    watchGame() {
+        this.game.on('end', results => {
+            // Keep the finished game so the room can watch it again
+            this.lastGame = this.game.toRecording();
+
+            // Show the session standings until the next game starts
+            const game = this.scoreboard.addResults(this.game.gameObj, results);
+            this.broadcast('room/standings', {
+                game,
+                scoreboard: this.scoreboard,
+                next_game_in: this.game.settings.resultsTimeout
+            });
+
+            this.nextGameTimeout = setTimeout(() => {
+                this.playGame(this.playlist.next());
+            }, this.game.settings.resultsTimeout);
+        });
+
+        const game = this.game;
+        game.on('failure', ({ hook, recovered }) => {
+            if(!recovered) {
+                // Wait for the failed hook to unwind before replacing the game
+                Promise.resolve().then(() => {
+                    if(this.game === game) {
+                        this.handleGameError(hook);
+                    }
+                });
+            }
+        });
+
+        // The game stopped itself, i.e. too few players were left
+        game.on('destroy', () => {
+            Promise.resolve().then(() => {
+                if(this.game === game) {
+                    this.skipCurrentGame();
+                }
+            });
+        });
+    }
+
+    /**
+     * Called when the game fails and can't recover, the room's
+     * game_error_action decides whether it is skipped, restarted or left
+     * for the host to skip or restart. Games that fail again after a restart are skipped.
+     * @param {string} hook The name of the game's hook that failed
+     */
+    handleGameError(hook) {
+        let action = this.settings.game_error_action;
+        if(action === GAME_ERROR_ACTION.RESTART && this.gameRestarts > 0) {
+            action = GAME_ERROR_ACTION.SKIP;
+        }
+
+        this.broadcast('room/game_error', { game: this.game.name, hook, action });
+        this.logger.warn('game_failed', { game: this.game.name, hook, action });
+
+        if(action === GAME_ERROR_ACTION.SKIP) {
+            return this.skipCurrentGame();
+        }
+        if(action === GAME_ERROR_ACTION.RESTART) {
+            return this.restartCurrentGame();
+        }
+
+        return Promise.resolve(this.game);
+    }
+
+    /**
+     * Clear the session scoreboard and start counting again
+     * @param {string} host_id The UUID of the player asking, must be the host
+     */
+    resetScoreboard(host_id) {
+        if(!this.isHost(host_id)) {
+            return Promise.reject('Only the host can do that.');
+        }
+
+        this.scoreboard.reset();
+        this.broadcast('room/standings', { game: null, scoreboard: this.scoreboard });
+
+        return Promise.resolve(this.scoreboard);
+    }
+
+    /**
+     * Change a setting of the game players are readying up for
+     * @param {string} player_id The player changing the setting
+     * @param {string} name
+     * @param {*} value
+     */
+    updateGameSetting(player_id, name, value) {
+        if(!this.game) {
+            return Promise.reject('No game is being played.');
+        }
+
+        return this.game.updateSetting(player_id, name, value);
+    }
+
+    /**
+     * Replay the last finished game to everyone in the room.
+     * Each step of the replay is broadcast as room/replay.
+     * @returns {Replay|null} Control the replay with stepForward, stepBack, seek and jumpToTurn
+     */
+    watchLastGame() {
+        if(!this.lastGame) {
+            return null;
+        }
+
+        const replay = new Replay(loadGame(this.gameLoader, this.lastGame.gameObj), this.lastGame);
+        replay.on('step', state => this.broadcast('room/replay', state));
+
+        return replay;
+    }
+
+    /**
+     * Shut the room down, stopping its game and every timer
+     */
+    close() {
+        clearTimeout(this.nextGameTimeout);
+        Object.keys(this.reconnectTimeouts).forEach(id => this.clearDisconnected(id));
+        this.polls.forEach(poll => poll.close());
+        if(this.game) {
+            this.stopGame();
+        }
+        this.players.forEach(p => {
+            const rIndex = (p.rooms || []).indexOf(this.id);
+            if(rIndex > -1) {
+                p.rooms.splice(rIndex, 1);
+            }
+        });
+
+        this.broadcast('room/close');
+        this.logger.info('room_close');
+    }
+
+    /**
+     * Create a JSON-safe snapshot of the room and its active game
+     * that can be passed to Room.restore after a restart
+     * @returns {object}
+     */
+    snapshot() {
+        return JSON.parse(JSON.stringify({
+            version: SNAPSHOT_VERSION,
+            id: this.id,
+            code: this.code,
+            name: this.name,
+            host: this.host,
+            players: this.players,
+            spectators: this.spectators,
+            teams: this.teams,
+            playlist: this.playlist,
+            chat: this.chat,
+            scoreboard: this.scoreboard,
+            bans: this.bans,
+            invites: this.invites,
+            locked: this.locked,
+            settings: this.settings,
+            game: this.game ? this.game.snapshot() : null,
+            lastGame: this.lastGame || null
+        }));
+    }
+
+    /**
+     * Save a snapshot of the room to a storage adapter
+     * @param {object} storage A storage adapter, i.e. MemoryStorage
+     */
+    save(storage) {
+        // A password still being hashed isn't in the snapshot yet. Snapshots
+        // are taken in the promise, a game that can't serialize its state rejects.
+        return Promise.resolve(this.hashing)
+            .then(() => storage.save(this.id, this.snapshot()));
+    }
+
+    /**
+     * Rebuild a room from a snapshot and resume its active game
+     * @param {object} snapshot A snapshot created by Room#snapshot
+     * @param {Server|object} io The Socket.IO Server or a transport
+     * @param {function} gameLoader GAMENIGHT platform provides a function to load a game.
+     * @returns {Room}
+     */
+    static restore(snapshot, io, gameLoader) {
+        if(!snapshot || snapshot.version !== SNAPSHOT_VERSION) {
+            throw new Error('Unsupported room snapshot version.');
+        }
+
+        const room = new Room(snapshot.name, { _id: snapshot.host }, snapshot.settings, io);
+        room.id = snapshot.id;
+        room.setLogger(room.logger.root);
+        room.code = snapshot.code;
+        room.players = snapshot.players;
+        room.spectators = snapshot.spectators || [];
+        room.teams = snapshot.teams || [];
+        room.bans = snapshot.bans || [];
+        room.invites = snapshot.invites || {};
+        room.locked = !!snapshot.locked;
+        if(snapshot.chat) {
+            Object.assign(room.chat, snapshot.chat);
+        }
+        if(snapshot.scoreboard) {
+            room.scoreboard.restore(snapshot.scoreboard);
+        }
+        Object.assign(room.playlist, snapshot.playlist);
+        room.connect(io);
+        room.gameLoader = gameLoader;
+        if(snapshot.lastGame) {
+            room.lastGame = snapshot.lastGame;
+        }
+
+        if(snapshot.game) {
+            const plGame = room.playlist.games[room.playlist.index];
+            const Game = loadGame(gameLoader, plGame);
+
+            room.game = new Game(plGame, room, room.io);
+            room.game.restore(snapshot.game);
+
+            if(room.game.endResults) {
+                // The game ended before the snapshot, carry on with the playlist
+                room.playGame(room.playlist.next());
+            } else {
+                room.watchGame();
+            }
+        }
+
+        return room;
+    }
+
+    toJSON() {
+        // When converting the room to JSON, hide the
+        // ID, join password and any active games.
+        const settings = Object.assign({}, this.settings);
+        delete settings.password;
+
+        return {
+            name: this.name,
+            code: this.code,
+            host: this.host,
+            players: this.players,
+            spectators: this.spectators,
+            teams: this.teams,
+            disconnected: this.disconnected,
+            playlist: this.playlist,
+            chat: this.chat,
+            scoreboard: this.scoreboard,
+            polls: this.polls,
+            locked: this.locked,
             settings
         };
     }
+
+    /**
+     * The room as seen by one of its players, with their view of the game
+     * @param {string} player_id
+     */
+    toJSONForPlayer(player_id) {
+        const roomForPlayer = this.toJSON();
+        if(this.game) {
+            roomForPlayer.game = this.game.toJSONForPlayer(player_id);
+        }
+
+        return roomForPlayer;
+    }
 }
 
 module.exports = Room;
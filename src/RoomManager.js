@@ -0,0 +1,269 @@
+const Room = require('./Room');
+
+/**
+ * The room manager keeps every room on a server, so players
+ * can find public rooms and join private ones by code.
+ */
+class RoomManager {
+    /**
+     * Create a new room manager
+     * @param {Server|object} io The Socket.IO Server or a transport, shared by every room
+     * @param {object} options
+     * @param {int} options.emptyRoomTimeout Milliseconds an empty room is kept for
+     * @param {int} options.gcInterval Milliseconds between checks for empty rooms
+     * @param {boolean} options.oneRoomPerPlayer Stop players being in more than one room
+     * @param {Logger} options.logger Records what happens in every room
+     */
+    constructor(io, options = {}) {
+        this.io = io;
+        this.options = Object.assign({
+            emptyRoomTimeout: 60000,
+            gcInterval: 30000,
+            oneRoomPerPlayer: true
+        }, options);
+
+        this.rooms = new Map();
+        // Room IDs keyed by join code
+        this.codes = new Map();
+        // When each empty room was first seen empty, keyed by room ID
+        this.emptySince = {};
+        this.interval = null;
+    }
+
+    /**
+     * Start removing rooms that have been empty for too long
+     */
+    start() {
+        this.stop();
+        this.interval = setInterval(() => this.collectGarbage(), this.options.gcInterval);
+    }
+
+    stop() {
+        clearInterval(this.interval);
+        this.interval = null;
+    }
+
+    /**
+     * Find a room by its private ID
+     * @param {string} id
+     */
+    get(id) {
+        return this.rooms.get(id) || null;
+    }
+
+    /**
+     * Find a room by its join code
+     * @param {string} code
+     */
+    findByCode(code) {
+        let room = this.get(this.codes.get(code));
+        if(!room || room.code !== code) {
+            // Codes change when a room's privacy does
+            this.reindex();
+            room = this.get(this.codes.get(code));
+        }
+
+        return room;
+    }
+
+    reindex() {
+        this.codes = new Map();
+        this.rooms.forEach(room => this.codes.set(room.code, room.id));
+    }
+
+    /**
+     * Check a player is allowed into a room
+     * @param {object} player
+     * @param {Room} room
+     * @returns {string|null} The reason the player can't join
+     */
+    checkPlayer(player, room) {
+        if(!this.options.oneRoomPerPlayer) {
+            return null;
+        }
+
+        const other = (player.rooms || []).find(id => id !== (room && room.id) && this.rooms.has(id));
+
+        return other ? 'You are already in another room.' : null;
+    }
+
+    /**
+     * Create a room with the player as its host
+     * @param {string} name The name of the room
+     * @param {object} host The host player
+     * @param {object} settings Initial settings for the room
+     * @param {Socket} socket The host's socket
+     * @returns {Promise} Resolves the Room
+     */
+    createRoom(name, host, settings, socket) {
+        const denied = this.checkPlayer(host, null);
+        if(denied) {
+            return Promise.reject(denied);
+        }
+
+        const room = new Room(name, host, settings, this.io);
+        if(this.options.logger) {
+            room.setLogger(this.options.logger);
+        }
+        room.logger.info('room_create', { host_id: host._id });
+        this.rooms.set(room.id, room);
+        this.codes.set(room.code, room.id);
+
+        return room.addPlayer(host, socket, (settings || {}).password)
+            .then(() => room)
+            .catch(err => {
+                this.removeRoom(room.id);
+
+                return Promise.reject(err);
+            });
+    }
+
+    /**
+     * Join a room by its code
+     * @param {string} code
+     * @param {object} player
+     * @param {Socket} socket
+     * @param {string} password
+     */
+    joinRoom(code, player, socket, password) {
+        const room = this.findByCode(code);
+        if(!room) {
+            return Promise.reject('Room not found.');
+        }
+
+        const denied = this.checkPlayer(player, room);
+        if(denied) {
+            return Promise.reject(denied);
+        }
+
+        return room.addPlayer(player, socket, password)
+            .then(json => {
+                delete this.emptySince[room.id];
+
+                return json;
+            });
+    }
+
+    /**
+     * Join a room from an invite link
+     * @param {string} token
+     * @param {object} player
+     * @param {Socket} socket
+     */
+    joinByInvite(token, player, socket) {
+        const room = Array.from(this.rooms.values()).find(r => r.invites[token]);
+        if(!room) {
+            return Promise.reject('Invite is not valid.');
+        }
+
+        const denied = this.checkPlayer(player, room);
+        if(denied) {
+            return Promise.reject(denied);
+        }
+
+        return room.addPlayer(player, socket, null, token)
+            .then(json => {
+                delete this.emptySince[room.id];
+
+                return json;
+            });
+    }
+
+    /**
+     * Leave a room, it is removed once it has been empty for emptyRoomTimeout
+     * @param {string} id The ID of the room
+     * @param {object} player
+     * @param {Socket} socket
+     */
+    leaveRoom(id, player, socket) {
+        const room = this.get(id);
+        if(!room) {
+            return Promise.reject('Room not found.');
+        }
+
+        return room.removePlayer(player, socket)
+            .then(() => {
+                this.collectGarbage();
+
+                return true;
+            });
+    }
+
+    /**
+     * Check whether a room has no people left, bots don't count
+     * @param {Room} room
+     * @returns {boolean}
+     */
+    isEmpty(room) {
+        return room.players.every(p => p.bot) && room.spectators.length === 0;
+    }
+
+    /**
+     * Remove rooms that have been empty for longer than emptyRoomTimeout
+     */
+    collectGarbage() {
+        const now = Date.now();
+        this.rooms.forEach(room => {
+            if(!this.isEmpty(room)) {
+                delete this.emptySince[room.id];
+                return;
+            }
+
+            if(!(room.id in this.emptySince)) {
+                this.emptySince[room.id] = now;
+            }
+            if(now - this.emptySince[room.id] >= this.options.emptyRoomTimeout) {
+                this.removeRoom(room.id);
+            }
+        });
+    }
+
+    /**
+     * Close a room and forget it
+     * @param {string} id The ID of the room
+     */
+    removeRoom(id) {
+        const room = this.get(id);
+        if(!room) {
+            return false;
+        }
+
+        room.close();
+        this.rooms.delete(id);
+        this.codes.delete(room.code);
+        delete this.emptySince[id];
+
+        return true;
+    }
+
+    /**
+     * List the public rooms players can join
+     * @param {object} filters
+     * @param {string} filters.mode Only rooms in this mode
+     * @param {string} filters.game Only rooms playing this game
+     * @param {int} filters.openSeats Only rooms with at least this many seats free
+     * @param {string} filters.search Only rooms with this in their name
+     * @returns {array} A summary of each room
+     */
+    listRooms(filters = {}) {
+        const search = filters.search ? filters.search.toLowerCase() : null;
+
+        return Array.from(this.rooms.values())
+            .filter(room => room.settings.privacy === 'public' && !room.locked)
+            .map(room => ({
+                name: room.name,
+                code: room.code,
+                mode: room.settings.mode,
+                game: room.game && !room.game.endResults ? room.game.name : null,
+                players: room.players.length,
+                player_limit: room.settings.player_limit,
+                open_seats: Math.max(room.settings.player_limit - room.players.length, 0)
+            }))
+            .filter(summary => (!filters.mode || summary.mode === filters.mode)
+                && (!filters.game || summary.game === filters.game)
+                && (!filters.openSeats || summary.open_seats >= filters.openSeats)
+                && (!search || summary.name.toLowerCase().includes(search)));
+    }
+}
+
+module.exports = RoomManager;
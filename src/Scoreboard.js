@@ -0,0 +1,222 @@
+const { SCORING } = require('./constants');
+
+/**
+ * Turn a game's end results into the standard results format.
+ * Games can end with any of:
+ *  - placements: Player IDs from first to last, tied players share an array
+ *  - scores: Points keyed by player ID, used for placements when none are given
+ *  - awards: Extra points for a player, i.e. { player_id, name: 'Fastest', points: 2 }
+ * @param {object} results The end results of a game
+ * @returns {object} The placements, scores and awards of the game
+ */
+const normalizeResults = (results = {}) => {
+    const scores = results.scores || {};
+    let placements = results.placements;
+
+    if(!placements) {
+        // Rank players by score, equal scores tie
+        const byScore = {};
+        Object.keys(scores).forEach(player_id => {
+            byScore[scores[player_id]] = (byScore[scores[player_id]] || []).concat(player_id);
+        });
+        placements = Object.keys(byScore)
+            .map(Number)
+            .sort((a, b) => b - a)
+            .map(score => byScore[score]);
+    }
+
+    return {
+        placements: placements.map(p => Array.isArray(p) ? p : [p]),
+        scores,
+        awards: results.awards || []
+    };
+};
+
+/**
+ * The scoreboard keeps the standings of a room
+ * across every game played in the session.
+ */
+class Scoreboard {
+    /**
+     * Create a new scoreboard
+     * @param {Room} room The room the scoreboard belongs to
+     * @param {object} rules How each game is scored
+     */
+    constructor(room, rules) {
+        this.room = room;
+        this.rules = Object.assign({
+            scoring: SCORING.PLACEMENT,
+            // Session points for first place, second place and so on
+            placementPoints: [10, 7, 5, 3, 2, 1],
+            // The points the winner of a game gets with NORMALIZED scoring
+            normalizedMax: 100
+        }, rules);
+
+        // The session points each game gave out
+        this.games = [];
+        // Session totals keyed by player ID
+        this.totals = {};
+        this.wins = {};
+        this.played = {};
+        // Remember usernames for players who leave during the session
+        this.usernames = {};
+    }
+
+    /**
+     * Change how the following games are scored
+     * @param {object} rules
+     */
+    setRules(rules) {
+        if(rules.scoring !== undefined && !Object.keys(SCORING).includes(rules.scoring)) {
+            return false;
+        }
+
+        Object.assign(this.rules, rules);
+
+        return true;
+    }
+
+    /**
+     * Work out the session points for a game
+     * @param {object} results Results in the standard format
+     * @returns {object} Points keyed by player ID
+     */
+    score(results) {
+        const points = {};
+
+        if(this.rules.scoring === SCORING.POINTS) {
+            Object.keys(results.scores).forEach(player_id => {
+                points[player_id] = results.scores[player_id];
+            });
+        } else if(this.rules.scoring === SCORING.NORMALIZED) {
+            // Scale the game's scores so the lowest gets 0 and the highest gets normalizedMax
+            const values = Object.keys(results.scores).map(id => results.scores[id]);
+            const min = Math.min(...values);
+            const range = Math.max(...values) - min;
+            Object.keys(results.scores).forEach(player_id => {
+                points[player_id] = range === 0
+                    ? this.rules.normalizedMax
+                    : Math.round((results.scores[player_id] - min) / range * this.rules.normalizedMax);
+            });
+        } else {
+            // Tied players all get the points of the place they share,
+            // the places they take up are skipped for the next players
+            let place = 0;
+            results.placements.forEach(tied => {
+                tied.forEach(player_id => {
+                    points[player_id] = this.rules.placementPoints[place] || 0;
+                });
+                place += tied.length;
+            });
+        }
+
+        results.awards.forEach(award => {
+            points[award.player_id] = (points[award.player_id] || 0) + (award.points || 0);
+        });
+
+        return points;
+    }
+
+    /**
+     * Add a finished game to the session
+     * @param {object} gameObj The game details representing a Game
+     * @param {object} endResults The end results of the game
+     * @returns {object} The session points the game gave out
+     */
+    addResults(gameObj, endResults) {
+        const results = normalizeResults(endResults || undefined);
+        const points = this.score(results);
+
+        this.room.players.forEach(p => {
+            this.usernames[p._id] = p.username;
+        });
+
+        const game = {
+            name: gameObj.name,
+            placements: results.placements,
+            awards: results.awards,
+            points
+        };
+        this.record(game);
+
+        return game;
+    }
+
+    /**
+     * Add a scored game to the session totals
+     * @param {object} game
+     */
+    record(game) {
+        Object.keys(game.points).forEach(player_id => {
+            this.totals[player_id] = (this.totals[player_id] || 0) + game.points[player_id];
+            this.played[player_id] = (this.played[player_id] || 0) + 1;
+        });
+        (game.placements[0] || []).forEach(player_id => {
+            this.wins[player_id] = (this.wins[player_id] || 0) + 1;
+        });
+        this.games.push(game);
+    }
+
+    /**
+     * Every player ranked by their session points
+     * @returns {array}
+     */
+    standings() {
+        const sorted = Object.keys(this.totals)
+            .map(player_id => ({
+                player_id,
+                username: this.usernames[player_id],
+                points: this.totals[player_id],
+                wins: this.wins[player_id] || 0,
+                played: this.played[player_id]
+            }))
+            .sort((a, b) => b.points - a.points || b.wins - a.wins);
+
+        // Players on the same points and wins share a rank
+        sorted.forEach((standing, i) => {
+            const prev = sorted[i - 1];
+            standing.rank = prev && prev.points === standing.points && prev.wins === standing.wins
+                ? prev.rank
+                : i + 1;
+        });
+
+        return sorted;
+    }
+
+    /**
+     * Rebuild the session from a converted scoreboard
+     * @param {object} json A scoreboard created by Scoreboard#toJSON
+     */
+    restore(json) {
+        this.reset();
+        Object.assign(this.rules, json.rules);
+
+        (json.games || []).forEach(game => this.record(game));
+        (json.standings || []).forEach(standing => {
+            this.usernames[standing.player_id] = standing.username;
+        });
+    }
+
+    /**
+     * Start a new session
+     */
+    reset() {
+        this.games = [];
+        this.totals = {};
+        this.wins = {};
+        this.played = {};
+        this.usernames = {};
+    }
+
+    toJSON() {
+        return {
+            rules: this.rules,
+            games: this.games,
+            standings: this.standings()
+        };
+    }
+}
+
+Scoreboard.normalizeResults = normalizeResults;
+
+module.exports = Scoreboard;
@@ -1,6 +1,123 @@
 const PLAYER_ORDER = {
     RANDOM: 'RANDOM',
-    ROOM: 'ROOM'
+    ROOM: 'ROOM',
+    // Alternate between teams
+    TEAMS: 'TEAMS'
 };
 
-module.exports = { PLAYER_ORDER };
+const TEAM_ASSIGN = {
+    // Put players without a team into the smallest teams
+    BALANCE: 'BALANCE',
+    // Shuffle every player into new teams
+    RANDOM: 'RANDOM'
+};
+
+const PLAYLIST_MODE = {
+    // Play each game once
+    NORMAL: 'NORMAL',
+    // Start the playlist again after the last game
+    REPEAT_ALL: 'REPEAT_ALL',
+    // Keep playing the current game
+    REPEAT_ONE: 'REPEAT_ONE'
+};
+
+const SCORING = {
+    // Session points for each finishing place
+    PLACEMENT: 'PLACEMENT',
+    // Add each game's own scores
+    POINTS: 'POINTS',
+    // Scale each game's scores to the same range
+    NORMALIZED: 'NORMALIZED'
+};
+
+const TIE_BREAK = {
+    // The tied option listed first wins
+    FIRST: 'FIRST',
+    // A tied option is picked at random
+    RANDOM: 'RANDOM',
+    // Nobody wins a tie
+    NONE: 'NONE'
+};
+
+const TURN_MODE = {
+    // One player acts per turn, in playerOrder
+    SEQUENTIAL: 'SEQUENTIAL',
+    // Every player acts once, the round closes when all have submitted
+    SIMULTANEOUS: 'SIMULTANEOUS',
+    // Every player can act at any time, the game advances turns itself
+    FREE: 'FREE'
+};
+
+const READY_TIMEOUT = {
+    // Mark idle players as ready and start the game
+    READY: 'READY',
+    // Remove idle players from the game
+    KICK: 'KICK'
+};
+
+const DISCONNECT_ACTION = {
+    // Skip the turns of disconnected players
+    SKIP: 'SKIP',
+    // Wait for disconnected players to come back
+    PAUSE: 'PAUSE',
+    // A bot plays for disconnected players until they come back
+    BOT: 'BOT'
+};
+
+// What a room does when its game fails and can't recover
+const GAME_ERROR_ACTION = {
+    // Move on to the next game in the playlist
+    SKIP: 'SKIP',
+    // Start the same game again, skipped if it fails again
+    RESTART: 'RESTART',
+    // Wait for the host to skip or restart the game
+    NOTIFY_HOST: 'NOTIFY_HOST'
+};
+
+// Codes for structured move rejections, sent to clients as { code, field, message }
+const MOVE_ERROR = {
+    INVALID_MOVE: 'INVALID_MOVE',
+    UNKNOWN_TYPE: 'UNKNOWN_TYPE',
+    UNKNOWN_FIELD: 'UNKNOWN_FIELD',
+    MISSING_FIELD: 'MISSING_FIELD',
+    INVALID_TYPE: 'INVALID_TYPE',
+    INVALID_VALUE: 'INVALID_VALUE',
+    OUT_OF_RANGE: 'OUT_OF_RANGE',
+    // The move type isn't allowed in the current phase
+    WRONG_PHASE: 'WRONG_PHASE',
+    // The game declared a field with a type the validator doesn't know
+    UNKNOWN_RULE: 'UNKNOWN_RULE',
+    NOT_STARTED: 'NOT_STARTED',
+    GAME_ENDED: 'GAME_ENDED',
+    PAUSED: 'PAUSED',
+    // It isn't the player's turn, or they have already moved
+    NOT_ALLOWED: 'NOT_ALLOWED',
+    // The game failed while it handled the move
+    MOVE_FAILED: 'MOVE_FAILED'
+};
+
+// Log levels from the most to the least detailed
+const LOG_LEVEL = {
+    DEBUG: 'DEBUG',
+    INFO: 'INFO',
+    WARN: 'WARN',
+    ERROR: 'ERROR'
+};
+
+// Bumped whenever the shape of Room and Game snapshots changes
+const SNAPSHOT_VERSION = 4;
+
+module.exports = {
+    PLAYER_ORDER,
+    TEAM_ASSIGN,
+    PLAYLIST_MODE,
+    SCORING,
+    TIE_BREAK,
+    TURN_MODE,
+    READY_TIMEOUT,
+    DISCONNECT_ACTION,
+    GAME_ERROR_ACTION,
+    MOVE_ERROR,
+    LOG_LEVEL,
+    SNAPSHOT_VERSION
+};
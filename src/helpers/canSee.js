@@ -0,0 +1,13 @@
+/**
+ * Check whether a player is allowed to see a private field
+ * @param {array|function} visibleTo Player IDs, or a function of the player ID
+ * @param {string|null} player_id Null for spectators
+ * @returns {boolean}
+ */
+module.exports = (visibleTo, player_id) => {
+    if(typeof visibleTo === 'function') {
+        return !!visibleTo(player_id);
+    }
+
+    return visibleTo.some(id => id == player_id);
+};
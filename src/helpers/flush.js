@@ -0,0 +1,2 @@
+// Resolve once pending promise chains, i.e. turn and round hooks, have settled
+module.exports = () => new Promise(resolve => setImmediate(resolve));
@@ -1,35 +1,38 @@
-module.exports = (io, ioRoom) => {
+/**
+ * Emit to the sockets of a room through a transport
+ * @param {object} transport A transport, see transports/
+ * @param {string} ioRoom The name of the room on the transport
+ */
+module.exports = (transport, ioRoom) => {
     const broadcast = (event, payload) => {
-        io.to(ioRoom).emit(event, payload);
+        transport.broadcast(ioRoom, event, payload);
     };
-    
-    const broadcast_secret = (event, cb) => {
-        io.of('/').in(ioRoom).clients((err, clients) => {
-            if(err) {
-                throw err;
-            }
-    
-            clients.forEach(s_id => {
-                const socket = io.sockets.connected[s_id];
-                socket.emit(event, cb(socket));
-            });
-        });
+
+    const send = (socket, event, payload) => {
+        transport.send(socket, event, payload);
     };
 
-    const find_socket = id => new Promise((resolve, reject) => {
-        io.of('/').in(ioRoom).clients((err, clients) => {
-            if(err) {
-                return reject(err);
-            }
+    // Send each socket its own payload
+    const broadcast_secret = (event, cb) => transport.members(ioRoom)
+        .then(sockets => {
+            sockets.forEach(socket => send(socket, event, cb(socket)));
+        });
+
+    const broadcast_filter = (event, payload, filter) => transport.members(ioRoom)
+        .then(sockets => {
+            sockets.filter(filter).forEach(socket => send(socket, event, payload));
+        });
 
-            const s_id = clients.find(s => s.id == id);
-            if(!s_id) {
-                return reject();
+    // Find the socket of a player in the room by their UUID
+    const find_socket = id => transport.members(ioRoom)
+        .then(sockets => {
+            const socket = sockets.find(s => s.user._id.toString() == id);
+            if(!socket) {
+                return Promise.reject('Player is not connected.');
             }
-            const socket = io.sockets.connected[s_id];
-            resolve(socket);
+
+            return socket;
         });
-    });
 
-    return { broadcast, broadcast_secret };
+    return { broadcast, send, broadcast_secret, broadcast_filter, find_socket };
 };
@@ -0,0 +1,60 @@
+const crypto = require('crypto');
+
+const KEY_LENGTH = 32;
+
+/**
+ * Check whether a password has already been hashed
+ * @param {string} stored
+ * @returns {boolean}
+ */
+const isHashed = stored => typeof stored === 'string' && stored.startsWith('scrypt$');
+
+/**
+ * Derive a key from a password without blocking the event loop
+ * @param {string} password
+ * @param {string} salt
+ * @returns {Promise} Resolves a Buffer
+ */
+const scrypt = (password, salt) => new Promise((resolve, reject) => {
+    crypto.scrypt(String(password), salt, KEY_LENGTH, (err, key) => err ? reject(err) : resolve(key));
+});
+
+/**
+ * Hash a password with a random salt, stored as scrypt$salt$hash
+ * @param {string} password
+ * @returns {Promise} Resolves the hash
+ */
+const hashPassword = password => {
+    const salt = crypto.randomBytes(16).toString('hex');
+
+    return scrypt(password, salt)
+        .then(hash => `scrypt$${salt}$${hash.toString('hex')}`);
+};
+
+/**
+ * Compare a password with a hash in constant time
+ * @param {string} password
+ * @param {string} stored A hash created by hashPassword
+ * @returns {Promise} Resolves whether the password matches
+ */
+const verifyPassword = (password, stored) => {
+    if(!isHashed(stored)) {
+        return Promise.resolve(false);
+    }
+
+    const [, salt, hash] = stored.split('$');
+    const expected = Buffer.from(hash, 'hex');
+
+    return scrypt(password, salt)
+        .then(actual => expected.length === actual.length && crypto.timingSafeEqual(expected, actual));
+};
+
+/**
+ * Create a token that can't be guessed, i.e. for invite links
+ * @returns {string}
+ */
+const createToken = () => crypto.randomBytes(18).toString('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_');
+
+module.exports = { isHashed, hashPassword, verifyPassword, createToken };
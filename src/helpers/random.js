@@ -0,0 +1,164 @@
+const shuffle = require('./shuffle');
+
+// Hash any seed into a 32-bit integer
+const hashSeed = seed => {
+    const str = String(seed);
+    let h = 1779033703 ^ str.length;
+    for(let i = 0; i < str.length; i++) {
+        h = Math.imul(h ^ str.charCodeAt(i), 3432918353);
+        h = (h << 13) | (h >>> 19);
+    }
+    h = Math.imul(h ^ (h >>> 16), 2246822507);
+    h = Math.imul(h ^ (h >>> 13), 3266489909);
+
+    return (h ^ (h >>> 16)) >>> 0;
+};
+
+/**
+ * Create a seeded random number generator (mulberry32) so that
+ * games can be replayed and audited.
+ * @param {string|int} seed Generated when not given
+ */
+module.exports = (seed = Math.floor(Math.random() * 4294967296)) => {
+    let state = hashSeed(seed);
+    let draws = 0;
+
+    // A float between 0 (inclusive) and 1 (exclusive), like Math.random
+    const next = () => {
+        draws++;
+        state = (state + 0x6D2B79F5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+
+    // An integer between min and max (inclusive)
+    const int = (min, max) => min + Math.floor(next() * (max - min + 1));
+
+    const checkSides = sides => {
+        if(!Number.isInteger(sides) || sides < 1) {
+            throw new Error(`Invalid number of sides: ${sides}`);
+        }
+    };
+
+    const rollDie = (sides = 6) => {
+        checkSides(sides);
+
+        return int(1, sides);
+    };
+
+    const coinFlip = () => next() < 0.5 ? 'heads' : 'tails';
+
+    const pick = arr => arr[Math.floor(next() * arr.length)];
+
+    /**
+     * Pick an item with a probability proportional to its weight
+     * @param {array} items
+     * @param {array|function} weights A weight per item or a function returning it
+     */
+    const weightedPick = (items, weights) => {
+        const itemWeights = items.map((item, i) => typeof weights === 'function' ? weights(item) : weights[i]);
+        const negative = itemWeights.find(w => !(w >= 0));
+        if(negative !== undefined) {
+            throw new Error(`Invalid weight: ${negative}`);
+        }
+        const total = itemWeights.reduce((sum, w) => sum + w, 0);
+        if(!(total > 0)) {
+            throw new Error(`Invalid total weight: ${total}`);
+        }
+
+        let target = next() * total;
+        for(let i = 0; i < items.length; i++) {
+            target -= itemWeights[i];
+            if(target < 0) {
+                return items[i];
+            }
+        }
+
+        return items[items.length - 1];
+    };
+
+    /**
+     * Roll dice from notation, i.e. "3d8+2"
+     * @param {string} notation
+     * @returns {object} The individual rolls, the modifier and the total
+     */
+    const roll = notation => {
+        const match = /^\s*(\d*)d(\d+)\s*([+-]\s*\d+)?\s*$/i.exec(notation);
+        if(!match) {
+            throw new Error(`Invalid dice notation: ${notation}`);
+        }
+
+        const count = match[1] ? parseInt(match[1], 10) : 1;
+        const sides = parseInt(match[2], 10);
+        const modifier = match[3] ? parseInt(match[3].replace(/\s/g, ''), 10) : 0;
+        checkSides(sides);
+
+        const rolls = [];
+        for(let i = 0; i < count; i++) {
+            rolls.push(rollDie(sides));
+        }
+
+        return {
+            rolls,
+            modifier,
+            total: rolls.reduce((sum, r) => sum + r, modifier)
+        };
+    };
+
+    /**
+     * Shuffle a deck and deal cards to a number of hands in turn
+     * @param {array} deck
+     * @param {int} hands The number of hands to deal to
+     * @param {int} count Cards per hand, deals the whole deck when not given
+     * @returns {object} The dealt hands and the remaining deck
+     */
+    const deal = (deck, hands, count) => {
+        if(!Number.isInteger(hands) || hands < 1) {
+            throw new Error(`Invalid number of hands: ${hands}`);
+        }
+        if(count === undefined) {
+            count = Math.floor(deck.length / hands);
+        } else if(!Number.isInteger(count) || count < 0) {
+            throw new Error(`Invalid cards per hand: ${count}`);
+        }
+
+        const cards = shuffle(deck, next);
+        const dealt = Array.from({ length: hands }, () => []);
+        for(let i = 0; i < count; i++) {
+            dealt.forEach(hand => {
+                if(cards.length) {
+                    hand.push(cards.shift());
+                }
+            });
+        }
+
+        return { hands: dealt, deck: cards };
+    };
+
+    const getState = () => ({ state, draws });
+
+    const setState = saved => {
+        state = saved.state;
+        draws = saved.draws;
+    };
+
+    return {
+        seed,
+        next,
+        int,
+        rollDie,
+        coinFlip,
+        pick,
+        weightedPick,
+        roll,
+        shuffle: arr => shuffle(arr, next),
+        deal,
+        getState,
+        setState,
+        get draws() {
+            return draws;
+        }
+    };
+};
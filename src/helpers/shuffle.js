@@ -1,8 +1,13 @@
-const shuffle = arr => {
+/**
+ * Shuffle a copy of an array
+ * @param {array} arr
+ * @param {function} random Returns a float between 0 and 1, i.e. a seeded generator
+ */
+const shuffle = (arr, random = Math.random) => {
     arr = arr.slice();
     
     for(let i = arr.length; i; i--) {
-        let j = Math.floor(Math.random() * i);
+        let j = Math.floor(random() * i);
         [arr[i - 1], arr[j]] = [arr[j], arr[i - 1]];
     }
 
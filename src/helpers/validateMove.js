@@ -0,0 +1,98 @@
+const { MOVE_ERROR } = require('../constants');
+
+const moveError = (code, message, field = null) => ({ code, field, message });
+
+const TYPES = {
+    string: v => typeof v === 'string',
+    number: v => typeof v === 'number' && isFinite(v),
+    integer: v => Number.isInteger(v),
+    boolean: v => typeof v === 'boolean',
+    array: v => Array.isArray(v),
+    object: v => v !== null && typeof v === 'object' && !Array.isArray(v)
+};
+
+const validateField = (name, rule, value, move, player) => {
+    if(value === undefined || value === null) {
+        if(rule.required === false) {
+            return null;
+        }
+
+        return moveError(MOVE_ERROR.MISSING_FIELD, `${name} is required.`, name);
+    }
+
+    if(rule.type && !Object.prototype.hasOwnProperty.call(TYPES, rule.type)) {
+        return moveError(MOVE_ERROR.UNKNOWN_RULE, `${name} has an unknown type: ${rule.type}.`, name);
+    }
+    if(rule.type && !TYPES[rule.type](value)) {
+        return moveError(MOVE_ERROR.INVALID_TYPE, `${name} must be of type ${rule.type}.`, name);
+    }
+
+    if(rule.enum && !rule.enum.includes(value)) {
+        return moveError(MOVE_ERROR.INVALID_VALUE, `${name} must be one of ${rule.enum.join(', ')}.`, name);
+    }
+
+    // Ranges apply to the length of strings and arrays
+    const size = typeof value === 'string' || Array.isArray(value) ? value.length : value;
+    if(rule.min !== undefined && size < rule.min) {
+        return moveError(MOVE_ERROR.OUT_OF_RANGE, `${name} must be at least ${rule.min}.`, name);
+    }
+    if(rule.max !== undefined && size > rule.max) {
+        return moveError(MOVE_ERROR.OUT_OF_RANGE, `${name} must be at most ${rule.max}.`, name);
+    }
+
+    if(rule.validate) {
+        const result = rule.validate(value, move, player);
+        if(result !== true) {
+            return moveError(MOVE_ERROR.INVALID_VALUE, typeof result === 'string' ? result : `${name} is invalid.`, name);
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Validate a move against the move types declared by a game, i.e.
+ * { guess: { fields: { letter: { type: 'string', min: 1, max: 1 } } } }
+ * Moves name their type in a `type` field.
+ * @param {object} moveTypes Schemas keyed by move type
+ * @param {object} move The move payload sent by the player
+ * @param {Player} player The player sending the move
+ * @returns {object|null} A { code, field, message } error or null if the move is valid
+ */
+module.exports = (moveTypes, move, player) => {
+    if(!TYPES.object(move)) {
+        return moveError(MOVE_ERROR.INVALID_MOVE, 'Move must be an object.');
+    }
+
+    if(!Object.prototype.hasOwnProperty.call(moveTypes, move.type)) {
+        return moveError(MOVE_ERROR.UNKNOWN_TYPE, `Unknown move type: ${move.type}.`, 'type');
+    }
+
+    const schema = moveTypes[move.type];
+    const fields = schema.fields || {};
+
+    const unknown = Object.keys(move).find(key => key !== 'type' && !fields[key]);
+    if(unknown) {
+        return moveError(MOVE_ERROR.UNKNOWN_FIELD, `Unknown field: ${unknown}.`, unknown);
+    }
+
+    for(const name of Object.keys(fields)) {
+        const error = validateField(name, fields[name], move[name], move, player);
+        if(error) {
+            return error;
+        }
+    }
+
+    // Checks that need more than one field
+    if(schema.validate) {
+        const result = schema.validate(move, player);
+        if(result !== true) {
+            return moveError(MOVE_ERROR.INVALID_VALUE, typeof result === 'string' ? result : 'Invalid move.');
+        }
+    }
+
+    return null;
+};
+
+module.exports.validateField = validateField;
+module.exports.moveError = moveError;
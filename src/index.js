@@ -1,6 +1,35 @@
+const Chat = require('./Chat');
 const Game = require('./Game');
 const Player = require('./Player');
 const Playlist = require('./Playlist');
+const Poll = require('./Poll');
+const Replay = require('./Replay');
 const Room = require('./Room');
+const RoomManager = require('./RoomManager');
+const Scoreboard = require('./Scoreboard');
+const { CallbackSink, ConsoleSink, FileSink, Logger } = require('./logging');
+const { FileStorage, MemoryStorage } = require('./storage');
+const { EventEmitterTransport, SocketIOTransport, WsTransport } = require('./transports');
+const testing = require('./testing');
 
-module.exports = { Game, Player, Playlist, Room };
+module.exports = {
+    Chat,
+    Game,
+    Player,
+    Playlist,
+    Poll,
+    Replay,
+    Room,
+    RoomManager,
+    Scoreboard,
+    CallbackSink,
+    ConsoleSink,
+    FileSink,
+    Logger,
+    FileStorage,
+    MemoryStorage,
+    EventEmitterTransport,
+    SocketIOTransport,
+    WsTransport,
+    testing
+};
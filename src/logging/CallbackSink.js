@@ -0,0 +1,17 @@
+/**
+ * Passes each log entry to a function
+ */
+class CallbackSink {
+    /**
+     * @param {function} callback Called with each entry
+     */
+    constructor(callback) {
+        this.callback = callback;
+    }
+
+    write(entry) {
+        this.callback(entry);
+    }
+}
+
+module.exports = CallbackSink;
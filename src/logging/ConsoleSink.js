@@ -0,0 +1,17 @@
+/**
+ * Writes each log entry to stdout as a line of JSON
+ */
+class ConsoleSink {
+    /**
+     * @param {stream.Writable} stream Where to write, stdout when not given
+     */
+    constructor(stream = process.stdout) {
+        this.stream = stream;
+    }
+
+    write(entry) {
+        this.stream.write(`${JSON.stringify(entry)}\n`);
+    }
+}
+
+module.exports = ConsoleSink;
@@ -0,0 +1,45 @@
+const fs = require('fs');
+
+/**
+ * Appends each log entry to a file as a line of JSON
+ */
+class FileSink {
+    /**
+     * @param {string} file The file to append to, created if it doesn't exist
+     */
+    constructor(file) {
+        this.file = file;
+        this.stream = fs.createWriteStream(file, { flags: 'a' });
+
+        // A file that can't be opened or written to stops the
+        // sink, rather than the server with an unhandled error
+        this.error = null;
+        this.stream.on('error', err => {
+            this.error = err;
+        });
+    }
+
+    write(entry) {
+        if(this.error) {
+            return;
+        }
+
+        this.stream.write(`${JSON.stringify(entry)}\n`);
+    }
+
+    /**
+     * Finish writing and close the file
+     */
+    close() {
+        if(this.stream.closed) {
+            return Promise.resolve();
+        }
+
+        return new Promise(resolve => {
+            this.stream.once('close', resolve);
+            this.stream.end();
+        });
+    }
+}
+
+module.exports = FileSink;
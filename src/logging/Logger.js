@@ -0,0 +1,128 @@
+const { LOG_LEVEL } = require('../constants');
+const CallbackSink = require('./CallbackSink');
+const ConsoleSink = require('./ConsoleSink');
+
+const LEVELS = Object.keys(LOG_LEVEL);
+
+/**
+ * Errors don't convert to JSON, keep their message and stack
+ * @param {object} data
+ */
+const serialize = data => {
+    const entry = {};
+    Object.keys(data).forEach(key => {
+        const value = data[key];
+        entry[key] = value instanceof Error ? { message: value.message, stack: value.stack } : value;
+    });
+
+    return entry;
+};
+
+/**
+ * The logger records what happens in rooms and games as
+ * structured entries, and writes them to each of its sinks.
+ */
+class Logger {
+    /**
+     * Create a new logger
+     * @param {object} options
+     * @param {string} options.level The least important LOG_LEVEL to record
+     * @param {array} options.sinks Sinks with a write(entry) method, or functions
+     * @param {object} options.context Fields added to every entry, i.e. { room_id }
+     */
+    constructor(options = {}) {
+        this.level = options.level || LOG_LEVEL.INFO;
+        this.sinks = [];
+        this.context = options.context || {};
+        // Child loggers share the level and sinks of the logger they came from
+        this.parent = null;
+
+        (options.sinks || []).forEach(sink => this.addSink(sink));
+    }
+
+    /**
+     * A logger that only writes errors to stdout, used until one is given
+     * @returns {Logger}
+     */
+    static createDefault() {
+        return new Logger({ level: LOG_LEVEL.ERROR, sinks: [new ConsoleSink()] });
+    }
+
+    /**
+     * Create a logger that adds more fields to every entry
+     * @param {object} context
+     * @returns {Logger}
+     */
+    child(context) {
+        const child = new Logger({ context: Object.assign({}, this.context, context) });
+        child.parent = this;
+
+        return child;
+    }
+
+    get root() {
+        return this.parent ? this.parent.root : this;
+    }
+
+    /**
+     * @param {object|function} sink
+     */
+    addSink(sink) {
+        this.root.sinks.push(typeof sink === 'function' ? new CallbackSink(sink) : sink);
+    }
+
+    /**
+     * @param {string} level A LOG_LEVEL enum
+     */
+    setLevel(level) {
+        this.root.level = level;
+    }
+
+    /**
+     * Check whether entries of a level are recorded
+     * @param {string} level A LOG_LEVEL enum
+     * @returns {boolean}
+     */
+    isEnabled(level) {
+        return LEVELS.indexOf(level) >= LEVELS.indexOf(this.root.level);
+    }
+
+    /**
+     * Record an entry
+     * @param {string} level A LOG_LEVEL enum
+     * @param {string} event What happened, i.e. 'player_join'
+     * @param {object} data
+     */
+    log(level, event, data = {}) {
+        if(!this.isEnabled(level)) {
+            return;
+        }
+
+        const entry = Object.assign({ time: new Date().toISOString(), level, event }, this.context, serialize(data));
+        this.root.sinks.forEach(sink => {
+            try {
+                sink.write(entry);
+            } catch(err) {
+                // A broken sink shouldn't stop the game
+            }
+        });
+    }
+
+    debug(event, data) {
+        this.log(LOG_LEVEL.DEBUG, event, data);
+    }
+
+    info(event, data) {
+        this.log(LOG_LEVEL.INFO, event, data);
+    }
+
+    warn(event, data) {
+        this.log(LOG_LEVEL.WARN, event, data);
+    }
+
+    error(event, data) {
+        this.log(LOG_LEVEL.ERROR, event, data);
+    }
+}
+
+module.exports = Logger;
@@ -0,0 +1,6 @@
+const CallbackSink = require('./CallbackSink');
+const ConsoleSink = require('./ConsoleSink');
+const FileSink = require('./FileSink');
+const Logger = require('./Logger');
+
+module.exports = { CallbackSink, ConsoleSink, FileSink, Logger };
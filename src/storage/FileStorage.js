@@ -0,0 +1,104 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Stores room snapshots as JSON files in a directory
+ */
+class FileStorage {
+    /**
+     * Create a new file storage
+     * @param {string} dir The directory to store snapshots in, must exist
+     */
+    constructor(dir) {
+        this.dir = dir;
+    }
+
+    /**
+     * Find the file for a room, refusing IDs that could escape the directory
+     * @param {string} id The ID of the room
+     */
+    file(id) {
+        if(!/^[\w-]+$/.test(id)) {
+            throw new Error(`Invalid room ID: ${id}`);
+        }
+
+        return path.join(this.dir, `${id}.json`);
+    }
+
+    /**
+     * Save a snapshot. The file is written in full before
+     * replacing the old one so a crash can't leave it half written.
+     * @param {string} id The ID of the room
+     * @param {object} snapshot
+     */
+    save(id, snapshot) {
+        return new Promise((resolve, reject) => {
+            const file = this.file(id);
+            const tmp = `${file}.tmp`;
+
+            fs.writeFile(tmp, JSON.stringify(snapshot), err => {
+                if(err) {
+                    return reject(err);
+                }
+
+                fs.rename(tmp, file, err => err ? reject(err) : resolve());
+            });
+        });
+    }
+
+    /**
+     * Load a snapshot, resolves null if there isn't one
+     * and rejects if the file isn't valid JSON
+     * @param {string} id The ID of the room
+     */
+    load(id) {
+        return new Promise((resolve, reject) => {
+            fs.readFile(this.file(id), 'utf8', (err, data) => {
+                if(err) {
+                    return err.code === 'ENOENT' ? resolve(null) : reject(err);
+                }
+
+                try {
+                    resolve(JSON.parse(data));
+                } catch(err) {
+                    reject(err);
+                }
+            });
+        });
+    }
+
+    /**
+     * Delete a snapshot
+     * @param {string} id The ID of the room
+     */
+    remove(id) {
+        return new Promise((resolve, reject) => {
+            fs.unlink(this.file(id), err => {
+                if(err && err.code !== 'ENOENT') {
+                    return reject(err);
+                }
+
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * List the IDs of every stored snapshot
+     */
+    list() {
+        return new Promise((resolve, reject) => {
+            fs.readdir(this.dir, (err, files) => {
+                if(err) {
+                    return reject(err);
+                }
+
+                resolve(files
+                    .filter(f => path.extname(f) === '.json')
+                    .map(f => path.basename(f, '.json')));
+            });
+        });
+    }
+}
+
+module.exports = FileStorage;
@@ -0,0 +1,49 @@
+/**
+ * Stores room snapshots in memory. Useful for tests and
+ * for surviving a game crash within the same process.
+ */
+class MemoryStorage {
+    constructor() {
+        this.snapshots = new Map();
+    }
+
+    /**
+     * Save a snapshot
+     * @param {string} id The ID of the room
+     * @param {object} snapshot
+     */
+    save(id, snapshot) {
+        this.snapshots.set(id, JSON.stringify(snapshot));
+
+        return Promise.resolve();
+    }
+
+    /**
+     * Load a snapshot, resolves null if there isn't one
+     * @param {string} id The ID of the room
+     */
+    load(id) {
+        const snapshot = this.snapshots.get(id);
+
+        return Promise.resolve(snapshot ? JSON.parse(snapshot) : null);
+    }
+
+    /**
+     * Delete a snapshot
+     * @param {string} id The ID of the room
+     */
+    remove(id) {
+        this.snapshots.delete(id);
+
+        return Promise.resolve();
+    }
+
+    /**
+     * List the IDs of every stored snapshot
+     */
+    list() {
+        return Promise.resolve(Array.from(this.snapshots.keys()));
+    }
+}
+
+module.exports = MemoryStorage;
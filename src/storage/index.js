@@ -0,0 +1,4 @@
+const FileStorage = require('./FileStorage');
+const MemoryStorage = require('./MemoryStorage');
+
+module.exports = { FileStorage, MemoryStorage };
@@ -0,0 +1,55 @@
+const FakeSocket = require('./FakeSocket');
+
+/**
+ * An in-memory stand-in for the Socket.IO server,
+ * covering the parts the io helper uses.
+ */
+class FakeServer {
+    constructor() {
+        this.sockets = { connected: {} };
+        // Every event sent to a room, in order
+        this.broadcasts = [];
+        this.nextId = 1;
+    }
+
+    /**
+     * Connect a new socket for a user
+     * @param {object} user The player object the socket belongs to
+     * @returns {FakeSocket}
+     */
+    connect(user) {
+        const socket = new FakeSocket(this, `socket_${this.nextId++}`, user);
+        this.sockets.connected[socket.id] = socket;
+
+        return socket;
+    }
+
+    /**
+     * Find the sockets that have joined a room
+     * @param {string} room
+     */
+    socketsIn(room) {
+        return Object.keys(this.sockets.connected)
+            .map(id => this.sockets.connected[id])
+            .filter(socket => socket.rooms.includes(room));
+    }
+
+    to(room) {
+        return {
+            emit: (event, payload) => {
+                this.broadcasts.push({ room, event, payload });
+                this.socketsIn(room).forEach(socket => socket.emit(event, payload));
+            }
+        };
+    }
+
+    of() {
+        return {
+            in: room => ({
+                clients: cb => cb(null, this.socketsIn(room).map(socket => socket.id))
+            })
+        };
+    }
+}
+
+module.exports = FakeServer;
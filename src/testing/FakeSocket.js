@@ -0,0 +1,52 @@
+/**
+ * An in-memory socket that records every event it receives
+ */
+class FakeSocket {
+    /**
+     * Create a new socket
+     * @param {FakeServer} server
+     * @param {string} id
+     * @param {object} user The player object the socket belongs to
+     */
+    constructor(server, id, user) {
+        this.server = server;
+        this.id = id;
+        this.user = user;
+        this.rooms = [];
+        this.received = [];
+    }
+
+    join(room) {
+        if(!this.rooms.includes(room)) {
+            this.rooms.push(room);
+        }
+    }
+
+    leave(room) {
+        this.rooms = this.rooms.filter(r => r !== room);
+    }
+
+    emit(event, payload) {
+        // Payloads are copied as they would be sent over the wire,
+        // so tests see exactly what a client would see
+        this.received.push({
+            event,
+            payload: payload === undefined ? payload : JSON.parse(JSON.stringify(payload))
+        });
+    }
+
+    /**
+     * Find the events received by the socket
+     * @param {string} event Only events with this name, all events when not given
+     */
+    events(event) {
+        return this.received.filter(e => !event || e.event === event);
+    }
+
+    disconnect() {
+        this.rooms = [];
+        delete this.server.sockets.connected[this.id];
+    }
+}
+
+module.exports = FakeSocket;
@@ -0,0 +1,207 @@
+const FakeServer = require('./FakeServer');
+const Room = require('../Room');
+const flush = require('../helpers/flush');
+
+/**
+ * A headless room for testing games. Players join with fake sockets
+ * that record every event, and moves settle before the helpers resolve.
+ */
+class Harness {
+    /**
+     * Create a new harness
+     * @param {class} Game The game class to test
+     * @param {object} options
+     * @param {int|array} options.players A number of players or the player objects
+     * @param {object} options.game The game details representing a Game
+     * @param {object} options.room Settings for the room
+     */
+    constructor(Game, options = {}) {
+        this.Game = Game;
+        this.options = options;
+        this.server = new FakeServer();
+
+        const players = options.players || 2;
+        this.players = Array.isArray(players)
+            ? players.map(p => Object.assign({ rooms: [] }, p))
+            : Array.from({ length: players }, (v, i) => ({
+                _id: `${i + 1}`,
+                username: `player${i + 1}`,
+                rooms: []
+            }));
+        this.sockets = {};
+
+        this.room = new Room('Harness', this.players[0], options.room, this.server);
+    }
+
+    get game() {
+        return this.room.game;
+    }
+
+    /**
+     * Join every player to the room and start the game
+     * @returns {Promise} Resolves the harness
+     */
+    start() {
+        const joins = this.players.map(player => {
+            this.sockets[player._id] = this.server.connect(player);
+
+            return this.room.addPlayer(player, this.sockets[player._id], (this.options.room || {}).password);
+        });
+
+        return Promise.all(joins)
+            .then(() => {
+                this.room.addGame(this.room.host, this.options.game || { name: this.Game.name });
+                this.room.start(this.room.host, () => this.Game);
+
+                return flush();
+            })
+            .then(() => this);
+    }
+
+    /**
+     * Find a player's socket
+     * @param {object|string} player A player or their UUID
+     */
+    socket(player) {
+        return this.sockets[player._id || player];
+    }
+
+    /**
+     * Find the events a player's socket has received
+     * @param {object|string} player A player or their UUID
+     * @param {string} event Only events with this name
+     */
+    events(player, event) {
+        return this.socket(player).events(event);
+    }
+
+    /**
+     * Find the last payload of an event a player's socket received
+     * @param {object|string} player A player or their UUID
+     * @param {string} event
+     */
+    lastEvent(player, event) {
+        const events = this.events(player, event);
+
+        return events.length > 0 ? events[events.length - 1].payload : undefined;
+    }
+
+    /**
+     * Every turn broadcast to the room so far
+     * @returns {array} The round, turn and player of each turn
+     */
+    turns() {
+        return this.server.broadcasts
+            .filter(b => b.event === 'game/turn')
+            .map(b => ({
+                round: b.payload.round.number,
+                turn: b.payload.turn.number,
+                player_id: b.payload.turn.player_id
+            }));
+    }
+
+    /**
+     * Send a move for a player and wait for the game to settle
+     * @param {object|string} player A player or their UUID
+     * @param {object} payload
+     */
+    move(player, payload) {
+        const gamePlayer = this.game.findPlayer(player._id || player);
+
+        return this.game.playerMove(gamePlayer, payload)
+            .then(move => flush().then(() => move));
+    }
+
+    /**
+     * Ready up every player who isn't ready
+     * @param {object} payload Sent with each ready up
+     */
+    readyAll(payload = {}) {
+        return this.game.players
+            .filter(p => !p.ready)
+            .reduce((prev, p) => prev.then(() => this.game.readyUp(p._id, payload)), Promise.resolve())
+            .then(flush);
+    }
+
+    /**
+     * Keep making moves until the game ends
+     * @param {function} strategy Returns the move (or a promise of it) for a player and their view of the game
+     * @param {int} maxMoves Fails when the game hasn't ended after this many moves
+     * @returns {Promise} Resolves the end results
+     */
+    runToEnd(strategy, maxMoves = 1000) {
+        const step = count => {
+            if(this.game.endResults) {
+                return Promise.resolve(this.game.endResults);
+            }
+            if(count >= maxMoves) {
+                return Promise.reject(new Error(`Game did not end within ${maxMoves} moves.`));
+            }
+
+            const player_id = (this.game.turn.players || [])[0];
+            if(!player_id) {
+                return Promise.reject(new Error('No player is allowed to move.'));
+            }
+
+            return Promise.resolve(strategy(this.game.findPlayer(player_id), this.game.toJSONForPlayer(player_id)))
+                .then(payload => this.move(player_id, payload))
+                .then(() => step(count + 1));
+        };
+
+        return step(0);
+    }
+
+    /**
+     * Fail unless the game is on the given round and turn
+     * @param {int} round
+     * @param {int} turn
+     * @param {string} player_id Also check whose turn it is
+     */
+    expectTurn(round, turn, player_id) {
+        const matches = this.game.round.number === round && this.game.turn.number === turn
+            && (player_id === undefined || this.game.turn.player_id == player_id);
+
+        if(!matches) {
+            throw new Error(`Expected round ${round} turn ${turn}, but it is round ${this.game.round.number} `
+                + `turn ${this.game.turn.number} for player ${this.game.turn.player_id}.`);
+        }
+    }
+
+    /**
+     * Drop a player's socket, their seat is held by the room
+     * @param {object|string} player A player or their UUID
+     */
+    disconnect(player) {
+        const socket = this.socket(player);
+        socket.disconnect();
+
+        return this.room.disconnectPlayer(socket.user, socket).then(flush);
+    }
+
+    /**
+     * Connect a new socket for a dropped player
+     * @param {object|string} player A player or their UUID
+     */
+    reconnect(player) {
+        const user = this.socket(player).user;
+        this.sockets[user._id] = this.server.connect(user);
+
+        return this.room.addPlayer(user, this.sockets[user._id]).then(room => flush().then(() => room));
+    }
+
+    /**
+     * Stop any timers left by the room and game
+     */
+    stop() {
+        clearTimeout(this.room.nextGameTimeout);
+        Object.keys(this.room.reconnectTimeouts).forEach(id => this.room.clearDisconnected(id));
+        this.room.polls.forEach(poll => poll.close());
+        if(this.game) {
+            this.game.clearTimer();
+            this.game.clearBotMoves();
+            this.game.polls.forEach(poll => poll.close());
+        }
+    }
+}
+
+module.exports = Harness;
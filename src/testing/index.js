@@ -0,0 +1,5 @@
+const FakeServer = require('./FakeServer');
+const FakeSocket = require('./FakeSocket');
+const Harness = require('./Harness');
+
+module.exports = { FakeServer, FakeSocket, Harness };
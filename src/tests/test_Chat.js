@@ -0,0 +1,106 @@
+const should = require('chai').should();
+
+const Game = require('../Game');
+const Room = require('../Room');
+
+const mockPlayer = (_id, username) => ({ _id, username, rooms: [] });
+
+const mockSocket = { join: () => {}, leave: () => {} };
+const mockIO = {
+    of: () => ({ in: () => ({ clients: () => {} }) }),
+    to: () => ({ emit: () => {} })
+};
+
+const mockRoom = () => {
+    const room = new Room('Mock', { _id: '1' }, {}, mockIO);
+    room.addPlayer(mockPlayer('1', 'abc'), mockSocket);
+    room.addPlayer(mockPlayer('2', 'def'), mockSocket);
+
+    return room;
+};
+
+const shouldReject = (promise, message) => promise
+    .then(() => {
+        throw new Error('Chat accepted a message it shouldn\'t have');
+    })
+    .catch(err => {
+        err.should.equal(message);
+    });
+
+describe('Chat', () => {
+    it('should send messages to the room and keep a bounded history', () => {
+        const room = mockRoom();
+        room.chat.options.historyLimit = 2;
+
+        return room.sendMessage(room.players[0], 'one')
+            .then(() => room.sendMessage(room.players[1], 'two'))
+            .then(() => room.sendMessage(room.players[0], 'three'))
+            .then(message => {
+                message.username.should.equal('abc');
+                room.toJSON().chat.history.map(m => m.text).should.deep.equal(['two', 'three']);
+            });
+    });
+
+    it('should only accept messages from people in the room', () => {
+        const room = mockRoom();
+
+        return shouldReject(room.sendMessage(mockPlayer('3', 'ghi'), 'hi'), 'Not in room.');
+    });
+
+    it('should rate limit each player', () => {
+        const room = mockRoom();
+        room.chat.options.rateLimit = 2;
+
+        return room.sendMessage(room.players[0], 'a')
+            .then(() => room.sendMessage(room.players[0], 'b'))
+            .then(() => shouldReject(room.sendMessage(room.players[0], 'c'), 'You are sending messages too quickly.'))
+            .then(() => room.sendMessage(room.players[1], 'd'));
+    });
+
+    it('should let the host mute and kick players', () => {
+        const room = mockRoom();
+
+        return shouldReject(room.mutePlayer('2', '1'), 'Only the host can do that.')
+            .then(() => room.sendMessage(room.players[1], 'hello'))
+            .then(() => room.mutePlayer('1', '2'))
+            .then(() => shouldReject(room.sendMessage(room.players[1], 'hello?'), 'You are muted.'))
+            .then(() => room.unmutePlayer('1', '2'))
+            .then(() => room.sendMessage(room.players[1], 'thanks'))
+            .then(() => room.kickFromChat('1', '2'))
+            .then(() => {
+                room.chat.history.length.should.equal(0);
+                room.chat.isMuted('2').should.equal(true);
+            });
+    });
+
+    it('should let a game lock the chat until it ends', () => {
+        const room = mockRoom();
+        room.addGame(room.host, { name: 'Test' });
+        room.start(room.host, () => Game);
+        room.game.handleEnd = payload => Promise.resolve(payload);
+
+        room.game.lockChat(['1']);
+
+        return shouldReject(room.sendMessage(room.players[1], 'is it a cat?'), 'Chat is locked.')
+            .then(() => room.sendMessage(room.players[0], 'no guessing'))
+            .then(() => room.game.onEnd({}))
+            .then(() => {
+                clearTimeout(room.nextGameTimeout);
+                room.chat.locked.should.equal(false);
+
+                return room.sendMessage(room.players[1], 'it was a cat');
+            });
+    });
+
+    it('should pass messages through the word filter', () => {
+        const room = mockRoom();
+        room.chat.filter = text => text.includes('spoiler') ? false : text.replace(/darn/g, '****');
+
+        return room.sendMessage(room.players[0], 'darn it')
+            .then(message => {
+                message.text.should.equal('**** it');
+
+                return shouldReject(room.sendMessage(room.players[0], 'spoiler: it was a cat'), 'Message was blocked.');
+            });
+    });
+});
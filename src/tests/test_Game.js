@@ -1,6 +1,16 @@
 const should = require('chai').should();
 
 const Game = require('../Game');
+const flush = require('../helpers/flush');
+const { Logger } = require('../logging');
+const {
+    PLAYER_ORDER,
+    TURN_MODE,
+    READY_TIMEOUT,
+    DISCONNECT_ACTION,
+    MOVE_ERROR,
+    TIE_BREAK
+} = require('../constants');
 
 const mockRoom = players => ({
     players,
@@ -90,7 +100,7 @@ describe('Game', () => {
         const guess = 'hangman';
         return game.playerMove(game.players[1], { guess })
             .catch(err => {
-                err.should.equal('You are not allowed to send that right now.');
+                err.should.deep.equal({ code: MOVE_ERROR.NOT_ALLOWED, field: null, message: 'You are not allowed to send that right now.' });
             });
     });
 
@@ -104,7 +114,7 @@ describe('Game', () => {
                 throw new Error('Game accepted a move it shouldn\'t have');
             })
             .catch(err => {
-                err.should.equal('Game has not started.');
+                err.should.deep.equal({ code: MOVE_ERROR.NOT_STARTED, field: null, message: 'Game has not started.' });
             });
     });
 
@@ -123,8 +133,1057 @@ describe('Game', () => {
                         throw new Error('Game accepted a move it shouldn\'t have');
                     })
                     .catch(err => {
-                        err.should.equal('Game has ended.');
+                        err.should.deep.equal({ code: MOVE_ERROR.GAME_ENDED, field: null, message: 'Game has ended.' });
                     });
             });
     });
+
+    it('should let every player move once in a simultaneous turn', () => {
+        const player1 = { _id: '1', username: 'abc' };
+        const player2 = { _id: '2', username: 'def' };
+        const game = new Game({ name: 'test' }, mockRoom([player1, player2]));
+        game.handleMove = payload => Promise.resolve(payload);
+        game.setup = () => ({ readyUp: false, turnMode: TURN_MODE.SIMULTANEOUS });
+        game.init();
+
+        game.turn.players.should.deep.equal(['1', '2']);
+
+        return game.playerMove(game.players[1], { bid: 5 })
+            .then(() => {
+                game.turn.players.should.deep.equal(['1']);
+                game.turn.submitted.should.deep.equal(['2']);
+
+                return game.playerMove(game.players[1], { bid: 6 })
+                    .then(() => {
+                        throw new Error('Game accepted a second move in the same turn');
+                    })
+                    .catch(err => {
+                        err.should.deep.equal({ code: MOVE_ERROR.NOT_ALLOWED, field: null, message: 'You are not allowed to send that right now.' });
+                    });
+            })
+            .then(() => game.playerMove(game.players[0], { bid: 3 }))
+            .then(() => {
+                game.round.number.should.equal(2);
+                game.turn.players.should.deep.equal(['1', '2']);
+            });
+    });
+
+    it('should turn down a second move sent while the first is handled', () => {
+        const player1 = { _id: '1', username: 'abc' };
+        const player2 = { _id: '2', username: 'def' };
+        const game = new Game({ name: 'test' }, mockRoom([player1, player2]));
+        game.handleMove = payload => flush().then(() => payload);
+        game.setup = () => ({ readyUp: false, turnMode: TURN_MODE.SIMULTANEOUS });
+        game.init();
+
+        const first = game.playerMove(game.players[1], { bid: 5 });
+        const second = game.playerMove(game.players[1], { bid: 6 })
+            .then(() => {
+                throw new Error('Game accepted a second move in the same turn');
+            })
+            .catch(err => {
+                err.should.deep.equal({ code: MOVE_ERROR.NOT_ALLOWED, field: null, message: 'You are not allowed to send that right now.' });
+            });
+
+        return Promise.all([first, second])
+            .then(() => {
+                game.moves.length.should.equal(1);
+                game.turn.players.should.deep.equal(['1']);
+                game.turn.submitted.should.deep.equal(['2']);
+            });
+    });
+
+    it('should accept any number of moves from any player in a free turn', () => {
+        const player1 = { _id: '1', username: 'abc' };
+        const player2 = { _id: '2', username: 'def' };
+        const game = new Game({ name: 'test' }, mockRoom([player1, player2]));
+        game.handleMove = payload => Promise.resolve(payload);
+        game.setup = () => ({ readyUp: false, turnMode: TURN_MODE.FREE });
+        game.init();
+
+        return game.playerMove(game.players[1], { draw: 'line' })
+            .then(() => game.playerMove(game.players[1], { draw: 'circle' }))
+            .then(() => game.playerMove(game.players[0], { guess: 'sun' }))
+            .then(() => {
+                game.moves.length.should.equal(3);
+                game.round.number.should.equal(1);
+                game.turn.number.should.equal(1);
+            });
+    });
+
+    it('should skip the turn of a player who runs out of time', done => {
+        const player1 = { _id: '1', username: 'abc' };
+        const player2 = { _id: '2', username: 'def' };
+        const game = new Game({ name: 'test' }, mockRoom([player1, player2]));
+        game.setup = () => ({ readyUp: false, turnTimeLimit: 10 });
+        game.handleTurnTimeout = player => {
+            player._id.should.equal('1');
+            game.destroy();
+            done();
+        };
+        game.init();
+
+        game.timer.type.should.equal('turn');
+    });
+
+    it('should auto-ready idle players when the ready up deadline passes', done => {
+        const player1 = { _id: '1', username: 'abc' };
+        const player2 = { _id: '2', username: 'def' };
+        const game = new Game({ name: 'test' }, mockRoom([player1, player2]));
+        game.setup = () => ({ readyUpTimeLimit: 10 });
+        game.init();
+        game.readyUp('1', {});
+
+        setTimeout(() => {
+            game.started.should.equal(true);
+            game.players[1].ready.should.equal(true);
+            done();
+        }, 30);
+    });
+
+    it('should kick idle players when the ready up deadline passes', done => {
+        const player1 = { _id: '1', username: 'abc' };
+        const player2 = { _id: '2', username: 'def' };
+        const game = new Game({ name: 'test' }, mockRoom([player1, player2]));
+        game.setup = () => ({
+            readyUpTimeLimit: 10,
+            readyUpTimeoutAction: READY_TIMEOUT.KICK
+        });
+        game.init();
+        game.readyUp('2', {});
+
+        setTimeout(() => {
+            game.started.should.equal(true);
+            game.players.length.should.equal(1);
+            game.playerOrder.should.deep.equal(['2']);
+            done();
+        }, 30);
+    });
+
+    it('should cancel the game when every player is kicked for idling', done => {
+        const player1 = { _id: '1', username: 'abc' };
+        const player2 = { _id: '2', username: 'def' };
+        const events = [];
+        const room = mockRoom([player1, player2]);
+        room.broadcast = event => events.push(event);
+        const game = new Game({ name: 'test' }, room);
+        game.setup = () => ({
+            readyUpTimeLimit: 10,
+            readyUpTimeoutAction: READY_TIMEOUT.KICK
+        });
+        game.init();
+
+        setTimeout(() => {
+            game.started.should.equal(false);
+            game.players.length.should.equal(0);
+            events.should.include('game/destroy');
+            done();
+        }, 30);
+    });
+
+    it('should stop a destroyed game from carrying on', () => {
+        const players = [{ _id: '1', bot: true }, { _id: '2', bot: true }];
+        const game = new Game({ name: 'test' }, mockRoom(players));
+        game.handleMove = payload => Promise.resolve(payload);
+        game.setup = () => ({ readyUp: false, turnTimeLimit: 1000, botMoveDelay: 1000 });
+        let destroyed = 0;
+        game.on('destroy', () => destroyed++);
+        game.init();
+
+        return flush()
+            .then(() => {
+                game.destroy();
+                game.destroy();
+                destroyed.should.equal(1);
+
+                game.startTurn(2);
+                game.turn.number.should.equal(1);
+                should.equal(game.timer, null);
+                game.botTimeouts.length.should.equal(0);
+
+                return game.playerMove(game.findPlayer(game.turn.players[0]), {});
+            })
+            .then(() => {
+                throw new Error('Game took a move after it was destroyed');
+            })
+            .catch(err => {
+                err.code.should.equal(MOVE_ERROR.GAME_ENDED);
+            });
+    });
+
+    it('should draw the same turn order and dice rolls from the same seed', () => {
+        const players = ['1', '2', '3', '4', '5'].map(_id => ({ _id }));
+        const play = () => {
+            const game = new Game({ name: 'test', seed: 'gamenight' }, mockRoom(players));
+            game.init();
+            game.setPlayerTurnOrder(PLAYER_ORDER.RANDOM);
+
+            return { order: game.playerOrder, rolls: game.players[0].rollDie(3) };
+        };
+
+        play().should.deep.equal(play());
+    });
+
+    it('should break poll ties from the game\'s seed', () => {
+        const players = [{ _id: '1' }, { _id: '2' }];
+        const game = new Game({ name: 'test', seed: 'polls' }, mockRoom(players));
+        game.init();
+
+        const draws = game.random.draws;
+        const poll = game.createPoll({ options: ['a', 'b'], tieBreak: TIE_BREAK.RANDOM });
+        poll.vote('1', 'a');
+        poll.vote('2', 'b');
+
+        game.random.draws.should.equal(draws + 1);
+        game.clearTimer();
+    });
+
+    it('should hide the seed from players until the game has ended', () => {
+        const game = new Game({ name: 'test', seed: 42 }, mockRoom([{ _id: '1' }]));
+        game.handleEnd = payload => Promise.resolve(payload);
+        game.init();
+
+        game.toJSON().seed.should.equal(42);
+        game.toJSONForPlayer('1').should.not.have.property('seed');
+
+        return game.onEnd({})
+            .then(() => {
+                game.toJSONForPlayer('1').seed.should.equal(42);
+            });
+    });
+
+    it('should reject moves that do not match the declared move types', () => {
+        const player1 = { _id: '1', username: 'abc' };
+        const game = new Game({ name: 'test' }, mockRoom([player1]));
+        game.moveTypes = {
+            guess: {
+                fields: {
+                    letter: { type: 'string', min: 1, max: 1 }
+                }
+            },
+            bid: {
+                fields: {
+                    amount: { type: 'integer', min: 1, max: 10 },
+                    suit: { enum: ['hearts', 'spades'], required: false }
+                },
+                validate: move => move.amount < 10 || move.suit === 'spades' || 'Only spades can bid 10.'
+            }
+        };
+        game.handleMove = payload => Promise.resolve(payload);
+        game.setup = () => ({ readyUp: false, turnMode: TURN_MODE.FREE });
+        game.init();
+
+        const reject = (move, error) => game.playerMove(game.players[0], move)
+            .then(() => {
+                throw new Error('Game accepted an invalid move');
+            })
+            .catch(err => {
+                err.should.deep.equal(error);
+            });
+
+        return reject('a', { code: MOVE_ERROR.INVALID_MOVE, field: null, message: 'Move must be an object.' })
+            .then(() => reject({ type: 'pass' }, { code: MOVE_ERROR.UNKNOWN_TYPE, field: 'type', message: 'Unknown move type: pass.' }))
+            .then(() => reject({ type: 'guess' }, { code: MOVE_ERROR.MISSING_FIELD, field: 'letter', message: 'letter is required.' }))
+            .then(() => reject({ type: 'guess', letter: 'ab' }, { code: MOVE_ERROR.OUT_OF_RANGE, field: 'letter', message: 'letter must be at most 1.' }))
+            .then(() => reject({ type: 'guess', letter: 'a', x: 1 }, { code: MOVE_ERROR.UNKNOWN_FIELD, field: 'x', message: 'Unknown field: x.' }))
+            .then(() => reject({ type: 'bid', amount: 2.5 }, { code: MOVE_ERROR.INVALID_TYPE, field: 'amount', message: 'amount must be of type integer.' }))
+            .then(() => reject({ type: 'bid', amount: 2, suit: 'clubs' }, { code: MOVE_ERROR.INVALID_VALUE, field: 'suit', message: 'suit must be one of hearts, spades.' }))
+            .then(() => reject({ type: 'bid', amount: 10 }, { code: MOVE_ERROR.INVALID_VALUE, field: null, message: 'Only spades can bid 10.' }))
+            .then(() => game.playerMove(game.players[0], { type: 'bid', amount: 10, suit: 'spades' }))
+            .then(move => {
+                move.payload.amount.should.equal(10);
+                game.moves.length.should.equal(1);
+            });
+    });
+
+    it('should reject every move with the same error shape', () => {
+        const player1 = { _id: '1', username: 'abc' };
+        const game = new Game({ name: 'test' }, mockRoom([player1]));
+        game.moveTypes = {
+            draw: { fields: { colour: { type: 'colour' } } },
+            guess: { fields: { word: { type: 'string' } } }
+        };
+        game.handleMove = () => Promise.reject('That word isn\'t in the dictionary.');
+        game.setup = () => ({ readyUp: false, turnMode: TURN_MODE.FREE });
+        game.init();
+
+        return game.playerMove(game.players[0], { type: 'draw', colour: 'red' })
+            .then(() => {
+                throw new Error('Game accepted a field with an unknown type');
+            })
+            .catch(err => {
+                err.should.deep.equal({ code: MOVE_ERROR.UNKNOWN_RULE, field: 'colour', message: 'colour has an unknown type: colour.' });
+
+                return game.playerMove(game.players[0], { type: 'guess', word: 'zzz' });
+            })
+            .then(() => {
+                throw new Error('Game accepted a move the game turned down');
+            })
+            .catch(err => {
+                err.should.deep.equal({ code: MOVE_ERROR.INVALID_MOVE, field: null, message: 'That word isn\'t in the dictionary.' });
+            });
+    });
+
+    it('should show spectators the game without private player information', () => {
+        const player1 = { _id: '1', username: 'abc' };
+        const game = new Game({ name: 'test' }, mockRoom([player1]));
+        game.toJSONForPlayer = player_id => ({ hand: player_id ? ['ace'] : [] });
+        game.init();
+
+        game.toJSONForSpectator().hand.should.deep.equal([]);
+    });
+
+    it('should pause for a disconnected player when their turn comes', () => {
+        const player1 = { _id: '1', username: 'abc' };
+        const player2 = { _id: '2', username: 'def' };
+        const game = new Game({ name: 'test' }, mockRoom([player1, player2]));
+        game.handleMove = payload => Promise.resolve(payload);
+        game.setup = () => ({ readyUp: false, disconnectAction: DISCONNECT_ACTION.PAUSE });
+        game.init();
+
+        game.handlePlayerDisconnect(player2);
+        game.paused.should.equal(false);
+
+        return game.playerMove(game.players[0], {})
+            .then(() => {
+                game.turn.player_id.should.equal('2');
+                game.paused.should.equal(true);
+
+                return game.playerMove(game.players[1], {})
+                    .then(() => {
+                        throw new Error('Game accepted a move while paused');
+                    })
+                    .catch(err => {
+                        err.should.deep.equal({ code: MOVE_ERROR.PAUSED, field: null, message: 'Game is paused.' });
+                    });
+            })
+            .then(() => {
+                game.handlePlayerReconnect(player2);
+                game.paused.should.equal(false);
+
+                return game.playerMove(game.players[1], {});
+            });
+    });
+
+    it('should not wait for a disconnected player in a simultaneous turn', () => {
+        const player1 = { _id: '1', username: 'abc' };
+        const player2 = { _id: '2', username: 'def' };
+        const game = new Game({ name: 'test' }, mockRoom([player1, player2]));
+        game.handleMove = payload => Promise.resolve(payload);
+        game.setup = () => ({ readyUp: false, turnMode: TURN_MODE.SIMULTANEOUS });
+        game.init();
+
+        return game.playerMove(game.players[0], {})
+            .then(() => {
+                game.handlePlayerDisconnect(player2);
+
+                game.round.number.should.equal(2);
+                game.turn.players.should.deep.equal(['1']);
+
+                game.handlePlayerReconnect(player2);
+                game.turn.players.should.deep.equal(['1', '2']);
+            });
+    });
+
+    it('should alternate turns between teams', () => {
+        const players = ['1', '2', '3', '4', '5'].map(_id => ({ _id }));
+        const room = mockRoom(players);
+        room.teams = [
+            { id: 'red', name: 'Red', players: ['1', '2', '3'] },
+            { id: 'blue', name: 'Blue', players: ['4'] }
+        ];
+        const game = new Game({ name: 'test' }, room);
+        game.init();
+        game.setPlayerTurnOrder(PLAYER_ORDER.TEAMS);
+
+        game.playerOrder.should.deep.equal(['1', '4', '2', '3', '5']);
+    });
+
+    it('should total team scores in the end results', () => {
+        const room = mockRoom([{ _id: '1' }, { _id: '2' }, { _id: '3' }]);
+        room.teams = [
+            { id: 'red', name: 'Red', players: ['1', '2'] },
+            { id: 'blue', name: 'Blue', players: ['3'] }
+        ];
+        const game = new Game({ name: 'test' }, room);
+        game.handleEnd = () => Promise.resolve({ scores: { 1: 3, 2: 4, 3: 5 } });
+        game.init();
+
+        return game.onEnd()
+            .then(() => {
+                game.endResults.teamScores.should.deep.equal({ red: 7, blue: 5 });
+            });
+    });
+
+    it('should hide private player and game fields from other players', () => {
+        const players = [{ _id: '1' }, { _id: '2' }, { _id: '3' }];
+        const game = new Game({ name: 'test' }, mockRoom(players));
+        game.toJSON = function() {
+            return Object.assign(Game.prototype.toJSON.call(this), { word: this.word });
+        };
+        game.init();
+
+        game.word = 'hangman';
+        game.setVisibility('word', ['1']);
+        game.players[0].hand = ['ace'];
+        game.players[0].setVisibility('hand', id => id === '2');
+
+        const forOwner = game.toJSONForPlayer('1');
+        forOwner.word.should.equal('hangman');
+        forOwner.players[0].hand.should.deep.equal(['ace']);
+
+        game.toJSONForPlayer('2').should.not.have.property('word');
+        game.toJSONForPlayer('2').players[0].hand.should.deep.equal(['ace']);
+
+        game.toJSONForPlayer('3').players[0].should.not.have.property('hand');
+        game.toJSONForSpectator().players[0].should.not.have.property('hand');
+        game.players[0].hand.should.deep.equal(['ace']);
+    });
+
+    it('should keep visibility rules given as functions through a restore', () => {
+        const players = [{ _id: '1' }, { _id: '2' }, { _id: '3' }];
+        const game = new Game({ name: 'test' }, mockRoom(players));
+        game.init();
+        game.players[0].hand = ['ace'];
+        game.players[0].setVisibility('hand', id => id === '2');
+
+        const snapshot = game.snapshot();
+
+        const loaded = new Game({ name: 'test' }, mockRoom(players));
+        loaded.restore(snapshot);
+        loaded.toJSONForPlayer('2').players[0].should.not.have.property('hand');
+        loaded.toJSONForPlayer('1').players[0].hand.should.deep.equal(['ace']);
+
+        const restored = new Game({ name: 'test' }, mockRoom(players));
+        restored.restoreVisibility = function() {
+            this.players[0].setVisibility('hand', id => id === '2');
+        };
+        restored.restore(snapshot);
+        restored.toJSONForPlayer('2').players[0].hand.should.deep.equal(['ace']);
+        restored.toJSONForPlayer('3').players[0].should.not.have.property('hand');
+    });
+
+    it('should hide simultaneous and hidden move payloads from other players', () => {
+        const players = [{ _id: '1' }, { _id: '2' }];
+        const sent = [];
+        const room = mockRoom(players);
+        room.broadcast_secret = (event, cb) => {
+            players.forEach(p => sent.push({ to: p._id, event, data: cb({ user: { _id: p._id } }) }));
+        };
+        const game = new Game({ name: 'test' }, room);
+        game.moveTypes = {
+            bid: { fields: { n: { type: 'integer' } } },
+            peek: { hidden: true }
+        };
+        game.handleMove = payload => Promise.resolve(payload);
+        game.setup = () => ({ readyUp: false, turnMode: TURN_MODE.SIMULTANEOUS });
+        game.init();
+
+        return game.playerMove(game.findPlayer('1'), { type: 'bid', n: 5 })
+            .then(() => {
+                sent.find(s => s.to === '1' && s.event === 'game/move').data.payload.should.deep.equal({ type: 'bid', n: 5 });
+                sent.find(s => s.to === '2' && s.event === 'game/move').data.should.not.have.property('payload');
+                game.toJSONForPlayer('2').moves[0].should.not.have.property('payload');
+                game.toJSONForSpectator().moves[0].should.not.have.property('payload');
+                game.toJSONForPlayer('1').moves[0].payload.n.should.equal(5);
+
+                return game.playerMove(game.findPlayer('2'), { type: 'peek' });
+            })
+            .then(() => {
+                // The turn is over, so bids are shown but hidden moves never are
+                game.toJSONForPlayer('2').moves[0].payload.n.should.equal(5);
+                game.toJSONForPlayer('1').moves[1].should.not.have.property('payload');
+                game.toJSONForPlayer('2').moves[1].payload.type.should.equal('peek');
+            });
+    });
+
+    it('should hide hidden move payloads from other players when undone and redone', () => {
+        const players = [{ _id: '1' }, { _id: '2' }];
+        const sent = [];
+        const room = mockRoom(players);
+        room.broadcast_secret = (event, cb) => {
+            players.forEach(p => sent.push({ to: p._id, event, data: cb({ user: { _id: p._id } }) }));
+        };
+        const game = new Game({ name: 'test' }, room);
+        game.moveTypes = {
+            peek: { hidden: true }
+        };
+        game.handleMove = payload => Promise.resolve(payload);
+        game.setup = () => ({ readyUp: false, undo: true });
+        game.init();
+
+        return game.playerMove(game.findPlayer('1'), { type: 'peek' })
+            .then(() => game.requestUndo('1'))
+            .then(() => {
+                sent.find(s => s.to === '1' && s.event === 'game/undo').data.move.payload.type.should.equal('peek');
+                sent.find(s => s.to === '2' && s.event === 'game/undo').data.move.should.not.have.property('payload');
+
+                return game.redo('1');
+            })
+            .then(() => {
+                sent.find(s => s.to === '1' && s.event === 'game/redo').data.move.payload.type.should.equal('peek');
+                sent.find(s => s.to === '2' && s.event === 'game/redo').data.move.should.not.have.property('payload');
+            });
+    });
+
+    it('should log updates the room fails to broadcast', () => {
+        const entries = [];
+        const room = mockRoom([{ _id: '1' }]);
+        room.broadcast_secret = () => Promise.reject(new Error('Adapter down'));
+        room.logger = new Logger({ sinks: [entry => entries.push(entry)] });
+        const game = new Game({ name: 'test' }, room);
+
+        return game.broadcastUpdate()
+            .then(() => {
+                entries[0].should.include({ event: 'broadcast_failed', broadcast: 'game/update' });
+                entries[0].error.message.should.equal('Adapter down');
+            });
+    });
+
+    it('should send an event to a single player', () => {
+        const emitted = [];
+        const room = mockRoom([{ _id: '1' }]);
+        room.find_socket = id => id === '1'
+            ? Promise.resolve({ user: { _id: '1' } })
+            : Promise.reject('Player is not connected.');
+        room.send = (socket, event, payload) => emitted.push({ event, payload });
+        const game = new Game({ name: 'test' }, room);
+
+        return game.sendToPlayer('1', 'game/secret', { role: 'spy' })
+            .then(() => {
+                emitted.should.deep.equal([{ event: 'game/secret', payload: { role: 'spy' } }]);
+            });
+    });
+
+    it('should move through phases and only allow each phase\'s moves', () => {
+        const players = [{ _id: '1' }, { _id: '2' }];
+        const phases = [];
+        const room = mockRoom(players);
+        room.broadcast = (event, payload) => {
+            if(event === 'game/phase') {
+                phases.push([payload.previous, payload.phase, payload.round.number]);
+            }
+        };
+        const game = new Game({ name: 'test' }, room);
+        const hooks = [];
+        game.phases = {
+            bid: {
+                moves: ['bid'],
+                next: 'play',
+                newRound: true,
+                exit() {
+                    hooks.push(`exit ${this.phase}`);
+                }
+            },
+            play: {
+                moves: ['card'],
+                next: ['score'],
+                enter: () => hooks.push('enter play')
+            },
+            score: { next: 'bid' }
+        };
+        game.handleMove = payload => Promise.resolve(payload);
+        game.setup = () => ({ readyUp: false, turnMode: TURN_MODE.FREE });
+        game.init();
+
+        return flush()
+            .then(() => {
+                game.phase.should.equal('bid');
+
+                return game.playerMove(game.players[0], { type: 'card' });
+            })
+            .then(() => {
+                throw new Error('Game accepted a move from another phase');
+            })
+            .catch(err => {
+                err.should.deep.equal({
+                    code: MOVE_ERROR.WRONG_PHASE,
+                    field: 'type',
+                    message: 'Only bid moves are allowed during bid.'
+                });
+
+                return game.playerMove(game.players[0], { type: 'bid' });
+            })
+            .then(move => {
+                move.phase.should.equal('bid');
+
+                return game.nextPhase();
+            })
+            .then(() => game.nextPhase('bid', {}).then(() => {
+                throw new Error('Game skipped a phase it can\'t go to');
+            }, err => {
+                err.should.equal('Can\'t go from play to bid.');
+            }))
+            .then(() => game.nextPhase('score'))
+            .then(() => game.nextPhase())
+            .then(() => {
+                hooks.should.deep.equal(['exit bid', 'enter play']);
+                game.round.number.should.equal(2);
+                phases.should.deep.equal([
+                    [null, 'bid', 0],
+                    ['bid', 'play', 1],
+                    ['play', 'score', 1],
+                    ['score', 'bid', 1]
+                ]);
+            });
+    });
+
+    it('should keep the turn order when players leave and stop when everyone has', () => {
+        const players = [{ _id: '1' }, { _id: '2' }, { _id: '3' }];
+        const events = [];
+        const room = mockRoom(players);
+        room.broadcast = event => events.push(event);
+        const game = new Game({ name: 'test' }, room);
+        game.handleMove = payload => Promise.resolve(payload);
+        game.handleRoundStart = round => Promise.resolve(round);
+        game.setup = () => ({ readyUp: false });
+        game.init();
+
+        return flush()
+            .then(() => game.playerMove(game.findPlayer('1'), {}))
+            .then(() => {
+                // Player 1 has already moved this round
+                game.handlePlayerLeave({ _id: '1' });
+                game.playerOrder.should.deep.equal(['2', '3']);
+                game.turn.should.include({ number: 1, player_id: '2' });
+
+                // The turn goes to the next player
+                game.handlePlayerLeave({ _id: '2' });
+                game.turn.should.include({ number: 1, player_id: '3' });
+
+                game.handlePlayerLeave({ _id: '3' });
+
+                return flush();
+            })
+            .then(() => {
+                game.players.length.should.equal(0);
+                game.playerOrder.length.should.equal(0);
+                events.should.include('game/destroy');
+                should.equal(game.timer, null);
+            });
+    });
+
+    it('should let bots play through the game with random legal moves', done => {
+        const players = [{ _id: '1', bot: true }, { _id: '2', bot: true }];
+        const game = new Game({ name: 'test' }, mockRoom(players));
+        game.maxRounds = 2;
+        game.getLegalMoves = () => [{ pick: 1 }, { pick: 2 }];
+        game.handleMove = payload => Promise.resolve(payload);
+        game.handleEnd = () => Promise.resolve({});
+        game.setup = () => ({ readyUp: false, botMoveDelay: 0 });
+        game.on('end', () => {
+            game.moves.map(m => m.player_id).should.deep.equal(['1', '2', '1', '2']);
+            game.moves.every(m => [1, 2].includes(m.payload.pick)).should.equal(true);
+            done();
+        });
+        game.init();
+    });
+
+    it('should hand a bot that throws to the game\'s error handling', done => {
+        const players = [{ _id: '1', bot: true }, { _id: '2' }];
+        const room = mockRoom(players);
+        room.logger = new Logger({ sinks: [() => {}] });
+        const game = new Game({ name: 'test' }, room);
+        game.getLegalMoves = () => {
+            throw new Error('No board');
+        };
+        game.handleMove = payload => Promise.resolve(payload);
+        game.setup = () => ({ readyUp: false, botMoveDelay: 0 });
+        game.on('failure', failure => {
+            failure.hook.should.equal('getBotMove');
+            failure.error.message.should.equal('No board');
+            game.moves.length.should.equal(0);
+            done();
+        });
+        game.init();
+    });
+
+    it('should let a bot play for a dropped player with the BOT disconnect action', () => {
+        const players = [{ _id: '1' }, { _id: '2' }];
+        const game = new Game({ name: 'test' }, mockRoom(players));
+        game.getBotMove = player => ({ bot: player._id });
+        game.handleMove = payload => Promise.resolve(payload);
+        game.setup = () => ({
+            readyUp: false,
+            botMoveDelay: 0,
+            disconnectAction: DISCONNECT_ACTION.BOT
+        });
+        game.init();
+
+        game.handlePlayerDisconnect(players[0]);
+
+        return new Promise(resolve => setTimeout(resolve, 5))
+            .then(() => {
+                game.moves[0].payload.should.deep.equal({ bot: '1' });
+                game.turn.player_id.should.equal('2');
+                game.clearBotMoves();
+            });
+    });
+
+    it('should carry on with the bots\' moves after a restore', () => {
+        const players = [{ _id: '1', bot: true }, { _id: '2' }];
+        const game = new Game({ name: 'test' }, mockRoom(players));
+        game.setup = () => ({ readyUp: false, botMoveDelay: 1000 });
+        game.init();
+
+        return flush()
+            .then(() => {
+                game.clearBotMoves();
+                const snapshot = game.snapshot();
+                snapshot.settings.botMoveDelay = 0;
+
+                const restored = new Game({ name: 'test' }, mockRoom(players));
+                restored.getBotMove = player => ({ bot: player._id });
+                restored.handleMove = payload => Promise.resolve(payload);
+                restored.restore(snapshot);
+
+                return new Promise(resolve => setTimeout(() => resolve(restored), 5));
+            })
+            .then(restored => {
+                restored.moves[0].payload.should.deep.equal({ bot: '1' });
+                restored.turn.player_id.should.equal('2');
+                restored.clearTimer();
+                restored.clearBotMoves();
+            });
+    });
+
+    it('should undo and redo a player\'s last move', () => {
+        const players = [{ _id: '1' }, { _id: '2' }];
+        const events = [];
+        const room = mockRoom(players);
+        room.broadcast = event => events.push(event);
+        room.broadcast_secret = event => events.push(event);
+        const game = new Game({ name: 'test' }, room);
+        game.moveTypes = {
+            add: { fields: { n: { type: 'integer' } } },
+            reveal: { reversible: false }
+        };
+        game.setup = function() {
+            this.total = 0;
+            return { readyUp: false, undo: true };
+        };
+        game.handleMove = function(move) {
+            this.total += move.n || 0;
+            return Promise.resolve(move);
+        };
+        game.serializeState = function() {
+            return { total: this.total };
+        };
+        game.restoreState = function(state) {
+            this.total = state.total;
+        };
+        game.init();
+
+        return game.playerMove(game.findPlayer('1'), { type: 'add', n: 3 })
+            .then(() => game.playerMove(game.findPlayer('2'), { type: 'add', n: 4 }))
+            .then(() => game.requestUndo('1'))
+            .then(() => {
+                throw new Error('Game undid a move that wasn\'t the last');
+            })
+            .catch(err => {
+                err.should.equal('You can only undo your last move.');
+
+                return game.requestUndo('2');
+            })
+            .then(undone => {
+                undone.should.equal(true);
+                game.total.should.equal(3);
+                game.moves.length.should.equal(1);
+                game.turn.player_id.should.equal('2');
+                events.should.include('game/undo');
+
+                return game.redo('2');
+            })
+            .then(() => {
+                game.total.should.equal(7);
+                game.turn.player_id.should.equal('1');
+
+                return game.playerMove(game.findPlayer('1'), { type: 'reveal' });
+            })
+            .then(() => game.requestUndo('1'))
+            .then(() => {
+                throw new Error('Game undid an irreversible move');
+            })
+            .catch(err => {
+                err.should.equal('You can only undo your last move.');
+            });
+    });
+
+    it('should keep private hands hidden after an undo', () => {
+        const players = [{ _id: '1' }, { _id: '2' }];
+        const game = new Game({ name: 'test' }, mockRoom(players));
+        game.setup = function() {
+            this.players.forEach(p => {
+                p.hand = ['ace', 'king'];
+                p.setVisibility('hand', id => id === p._id);
+            });
+            return { readyUp: false, undo: true };
+        };
+        game.handleMove = function(move) {
+            this.findPlayer(this.turn.player_id).hand.pop();
+            return Promise.resolve(move);
+        };
+        game.init();
+
+        const first = game.turn.player_id;
+        const other = first === '1' ? '2' : '1';
+
+        return game.playerMove(game.findPlayer(first), { card: 'king' })
+            .then(() => game.requestUndo(first))
+            .then(undone => {
+                undone.should.equal(true);
+                const mover = game.toJSONForPlayer(first).players.find(p => p._id === first);
+                mover.hand.should.deep.equal(['ace', 'king']);
+                game.toJSONForPlayer(other).players.find(p => p._id === first).should.not.have.property('hand');
+                game.toJSONForSpectator().players.forEach(p => p.should.not.have.property('hand'));
+            });
+    });
+
+    it('should wait for the other players to agree to an undo', () => {
+        const players = [{ _id: '1' }, { _id: '2' }, { _id: '3' }];
+        const game = new Game({ name: 'test' }, mockRoom(players));
+        game.handleMove = payload => Promise.resolve(payload);
+        game.setup = () => ({ readyUp: false, undo: true, undoConsent: true });
+        game.init();
+
+        return game.playerMove(game.findPlayer('1'), { n: 1 })
+            .then(() => game.requestUndo('1'))
+            .then(undone => {
+                undone.should.equal(false);
+                game.undoRequest.waiting.should.deep.equal(['2', '3']);
+
+                return game.answerUndo('2', true);
+            })
+            .then(undone => {
+                undone.should.equal(false);
+
+                return game.answerUndo('3', false);
+            })
+            .then(() => {
+                should.not.exist(game.undoRequest);
+                game.moves.length.should.equal(1);
+
+                return game.requestUndo('1');
+            })
+            .then(() => game.answerUndo('2', true))
+            .then(() => game.answerUndo('3', true))
+            .then(undone => {
+                undone.should.equal(true);
+                game.moves.length.should.equal(0);
+                game.turn.player_id.should.equal('1');
+            });
+    });
+
+    it('should let players change game settings before they ready up', () => {
+        const players = [{ _id: '1' }, { _id: '2' }];
+        const events = [];
+        const room = mockRoom(players);
+        room.isHost = player_id => player_id === '1';
+        room.broadcast = (event, payload) => events.push(event);
+        const game = new Game({ name: 'test' }, room);
+        game.setup = function() {
+            this.settingsSchema = {
+                rounds: { type: 'integer', default: 3, min: 1, max: 10 },
+                theme: { enum: ['animals', 'food'], default: 'food', editableBy: 'all' }
+            };
+            return {};
+        };
+        game.init();
+        game.readyUp('1');
+
+        const reject = (player_id, name, value) => game.updateSetting(player_id, name, value)
+            .then(() => {
+                throw new Error('Game accepted a setting it shouldn\'t have');
+            }, err => err);
+
+        game.settings.rounds.should.equal(3);
+
+        return reject('2', 'rounds', 5)
+            .then(err => {
+                err.should.equal('You can\'t change that setting.');
+
+                return reject('1', 'rounds', 11);
+            })
+            .then(err => {
+                err.should.deep.equal({ code: MOVE_ERROR.OUT_OF_RANGE, field: 'rounds', message: 'rounds must be at most 10.' });
+
+                return reject('1', 'speed', 2);
+            })
+            .then(err => {
+                err.should.equal('Unknown setting: speed.');
+
+                return game.updateSetting('2', 'theme', 'animals');
+            })
+            .then(settings => {
+                settings.theme.should.equal('animals');
+                game.findPlayer('1').ready.should.equal(false);
+                events.should.include('game/update_setting');
+
+                game.readyUp('1');
+                game.readyUp('2');
+
+                return reject('1', 'rounds', 4);
+            })
+            .then(err => {
+                err.should.equal('Game has already started.');
+            });
+    });
+
+    it('should roll back to the last good state when a game hook throws', () => {
+        const players = [{ _id: '1' }, { _id: '2' }];
+        const events = [];
+        const entries = [];
+        const failures = [];
+        const room = mockRoom(players);
+        room.broadcast = (event, payload) => events.push({ event, payload });
+        room.logger = new Logger({ sinks: [entry => entries.push(entry)] });
+        const game = new Game({ name: 'test' }, room);
+        let roundStarts = 0;
+        game.setup = function() {
+            this.total = 0;
+            return { readyUp: false, rollbackOnError: true, errorRetries: 1 };
+        };
+        game.handleRoundStart = round => {
+            roundStarts++;
+            return roundStarts === 1 ? Promise.reject(new Error('Deck not shuffled')) : Promise.resolve(round);
+        };
+        game.handleMove = function(move) {
+            this.total += move.n;
+            if(move.n > 5) {
+                throw new TypeError('Too big');
+            }
+            return Promise.resolve(move);
+        };
+        game.serializeState = function() {
+            return { total: this.total };
+        };
+        game.restoreState = function(state) {
+            this.total = state.total;
+        };
+        game.on('failure', failure => failures.push(failure));
+        game.init();
+
+        return flush()
+            .then(() => {
+                // The round start was tried again
+                roundStarts.should.equal(2);
+                entries.map(e => e.event).should.include('hook_retry');
+
+                return game.playerMove(game.findPlayer('1'), { n: 3 });
+            })
+            .then(() => game.playerMove(game.findPlayer('2'), { n: 9 }))
+            .then(() => {
+                throw new Error('Game accepted a move that threw');
+            })
+            .catch(err => {
+                err.should.deep.equal({ code: MOVE_ERROR.MOVE_FAILED, field: null, message: 'Something went wrong with that move.' });
+                game.total.should.equal(3);
+                game.moves.length.should.equal(1);
+                game.turn.player_id.should.equal('2');
+                failures.length.should.equal(1);
+                failures[0].hook.should.equal('handleMove');
+                failures[0].recovered.should.equal(true);
+                events.find(e => e.event === 'game/error').payload
+                    .should.deep.equal({ hook: 'handleMove', recovered: true, rolled_back: true });
+                entries.find(e => e.event === 'game_error').error.message.should.equal('Too big');
+                game.clearTimer();
+            });
+    });
+
+    it('should stop the game when a hook fails and it can\'t recover', () => {
+        const players = [{ _id: '1' }, { _id: '2' }];
+        const room = mockRoom(players);
+        room.logger = new Logger({ sinks: [() => {}] });
+        const game = new Game({ name: 'test' }, room);
+        const failures = [];
+        game.setup = () => ({ readyUp: false, turnTimeLimit: 1000 });
+        game.handleMove = payload => Promise.resolve(payload);
+        game.handleTurnEnd = () => {
+            throw new Error('Score not found');
+        };
+        game.on('failure', failure => failures.push(failure));
+        game.init();
+
+        return game.playerMove(game.findPlayer('1'), { guess: 'a' })
+            .then(flush)
+            .then(() => {
+                failures.length.should.equal(1);
+                failures[0].hook.should.equal('handleTurnEnd');
+                failures[0].recovered.should.equal(false);
+                should.equal(game.timer, null);
+                game.turn.number.should.equal(1);
+            });
+    });
+
+    it('should reject with the error when a hook fails instead of carrying on', () => {
+        const players = [{ _id: '1' }, { _id: '2' }];
+        const room = mockRoom(players);
+        room.logger = new Logger({ sinks: [() => {}] });
+        const game = new Game({ name: 'test' }, room);
+        let roundStarts = 0;
+        game.setup = () => ({ readyUp: false });
+        game.handleRoundStart = round => {
+            roundStarts++;
+            return Promise.resolve(round);
+        };
+        game.handleRoundEnd = () => {
+            throw new Error('Scores lost');
+        };
+        game.init();
+
+        return flush()
+            .then(() => game.nextRound())
+            .then(() => {
+                throw new Error('Round ended after its hook failed');
+            })
+            .catch(err => {
+                err.message.should.equal('Scores lost');
+                // The round isn't started again as if the game asked for it
+                roundStarts.should.equal(1);
+                game.round.number.should.equal(1);
+            });
+    });
+
+    it('should handle errors from serializeState and restoreState', () => {
+        const players = [{ _id: '1' }, { _id: '2' }];
+        const room = mockRoom(players);
+        room.logger = new Logger({ sinks: [() => {}] });
+        const game = new Game({ name: 'test' }, room);
+        const failures = [];
+        game.setup = () => ({ readyUp: false, undo: true });
+        game.handleMove = payload => Promise.resolve(payload);
+        let broken = false;
+        game.serializeState = () => {
+            if(broken) {
+                throw new Error('Cycle in state');
+            }
+            return {};
+        };
+        game.restoreState = () => {
+            throw new Error('Bad state');
+        };
+        game.on('failure', failure => failures.push(failure));
+        game.init();
+
+        return game.playerMove(game.findPlayer('1'), { n: 1 })
+            .then(() => game.requestUndo('1'))
+            .then(() => {
+                throw new Error('Undo went ahead without the game state');
+            })
+            .catch(err => {
+                err.should.equal('Something went wrong, try again.');
+                failures[0].hook.should.equal('restoreState');
+
+                broken = true;
+                return game.playerMove(game.findPlayer(game.turn.player_id), { n: 2 });
+            })
+            .then(() => {
+                throw new Error('Game accepted a move it couldn\'t snapshot');
+            })
+            .catch(err => {
+                err.code.should.equal(MOVE_ERROR.MOVE_FAILED);
+                failures[1].hook.should.equal('serializeState');
+                failures[1].recovered.should.equal(false);
+            });
+    });
 });
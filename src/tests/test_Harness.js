@@ -0,0 +1,106 @@
+const should = require('chai').should();
+
+const Game = require('../Game');
+const { Harness } = require('../testing');
+
+// Players take turns counting up, whoever says 5 wins
+class CountGame extends Game {
+    setup() {
+        this.count = 0;
+        this.setVisibility('secret', []);
+        return {};
+    }
+
+    handleMove(move, player) {
+        if(move.number !== this.count + 1) {
+            return Promise.reject('Wrong number.');
+        }
+        this.count = move.number;
+
+        return Promise.resolve(move);
+    }
+
+    handleTurnEnd(player) {
+        return this.count === 5 ? Promise.reject({ winner: player._id }) : Promise.resolve();
+    }
+
+    handleEnd(payload) {
+        return Promise.resolve(payload);
+    }
+
+    toJSON() {
+        return Object.assign(super.toJSON(), { count: this.count, secret: 'shh' });
+    }
+}
+
+describe('Harness', () => {
+    it('should record the events each socket receives', () => {
+        const harness = new Harness(CountGame, { players: 2 });
+
+        return harness.start()
+            .then(() => {
+                const init = harness.lastEvent('1', 'game/init');
+                init.game.players.length.should.equal(2);
+                init.game.should.not.have.property('secret');
+                harness.events('2', 'player_join').length.should.equal(1);
+            });
+    });
+
+    it('should ready up every player and start the game', () => {
+        const harness = new Harness(CountGame, { players: 3 });
+
+        return harness.start()
+            .then(() => harness.readyAll())
+            .then(() => {
+                harness.game.started.should.equal(true);
+                harness.expectTurn(1, 1, '1');
+                harness.events('3', 'game/player_ready').length.should.equal(3);
+            });
+    });
+
+    it('should drive moves and check turn transitions', () => {
+        const harness = new Harness(CountGame, { players: 2 });
+
+        return harness.start()
+            .then(() => harness.readyAll())
+            .then(() => harness.move('1', { number: 1 }))
+            .then(() => {
+                harness.expectTurn(1, 2, '2');
+                (() => harness.expectTurn(2, 1)).should.throw('Expected round 2 turn 1, but it is round 1 turn 2 for player 2.');
+                harness.lastEvent('1', 'game/move').payload.number.should.equal(1);
+            });
+    });
+
+    it('should run a game to the end', () => {
+        const harness = new Harness(CountGame, { players: 2 });
+
+        return harness.start()
+            .then(() => harness.readyAll())
+            .then(() => harness.runToEnd((player, game) => ({ number: game.count + 1 })))
+            .then(results => {
+                results.winner.should.equal('1');
+                harness.turns().map(t => t.player_id).should.deep.equal(['1', '2', '1', '2', '1']);
+                harness.lastEvent('2', 'game/end').should.deep.equal({ winner: '1' });
+                harness.stop();
+            });
+    });
+
+    it('should disconnect and reconnect players', () => {
+        const harness = new Harness(CountGame, { players: 3 });
+
+        return harness.start()
+            .then(() => harness.readyAll())
+            .then(() => harness.disconnect('2'))
+            .then(() => harness.move('1', { number: 1 }))
+            .then(() => {
+                harness.expectTurn(1, 3, '3');
+                harness.lastEvent('1', 'player_disconnected').player._id.should.equal('2');
+
+                return harness.reconnect('2');
+            })
+            .then(room => {
+                room.game.count.should.equal(1);
+                harness.lastEvent('1', 'player_reconnected').player._id.should.equal('2');
+            });
+    });
+});
@@ -0,0 +1,112 @@
+const should = require('chai').should();
+
+const Playlist = require('../Playlist');
+const { PLAYLIST_MODE } = require('../constants');
+
+const mockPlaylist = (names, options) => {
+    const playlist = new Playlist(options);
+    names.forEach(name => playlist.add({ name }));
+
+    return playlist;
+};
+
+const names = playlist => playlist.games.map(g => g.name);
+
+describe('Playlist', () => {
+    it('should stop adding games at the max length', () => {
+        const playlist = mockPlaylist(['A', 'B'], { maxLength: 2 });
+
+        playlist.add({ name: 'C' }).should.equal(false);
+        playlist.insertNext({ name: 'C' }).should.equal(false);
+        playlist.games.length.should.equal(2);
+    });
+
+    it('should remove, move and insert games still to be played', () => {
+        const playlist = mockPlaylist(['A', 'B', 'C', 'D']);
+        playlist.next();
+
+        playlist.remove(0).should.equal(false);
+        playlist.remove(2).name.should.equal('C');
+        playlist.move(0, 1).should.equal(false);
+        playlist.move(2, 1).should.equal(true);
+        playlist.insertNext({ name: 'E' });
+
+        names(playlist).should.deep.equal(['A', 'E', 'D', 'B']);
+        playlist.next().name.should.equal('E');
+    });
+
+    it('should play games added after the playlist ended', () => {
+        const playlist = mockPlaylist(['A']);
+        playlist.next();
+
+        playlist.next().should.equal(false);
+        playlist.add({ name: 'B' });
+        playlist.next().name.should.equal('B');
+    });
+
+    it('should repeat the playlist or the current game', () => {
+        const playlist = mockPlaylist(['A', 'B']);
+        playlist.setMode(PLAYLIST_MODE.REPEAT_ALL);
+
+        [1, 2, 3].map(() => playlist.next().name).should.deep.equal(['A', 'B', 'A']);
+
+        playlist.setMode(PLAYLIST_MODE.REPEAT_ONE);
+        playlist.next().name.should.equal('A');
+        playlist.next(true).name.should.equal('B');
+        playlist.setMode('SOMETIMES').should.equal(false);
+    });
+
+    it('should shuffle the games still to be played', () => {
+        const playlist = mockPlaylist(['A', 'B', 'C', 'D']);
+        playlist.shuffle = true;
+
+        const played = [1, 2, 3, 4].map(() => playlist.next().name);
+        played.slice().sort().should.deep.equal(['A', 'B', 'C', 'D']);
+        playlist.next().should.equal(false);
+    });
+
+    it('should play the game with the most votes next', () => {
+        const playlist = mockPlaylist(['A', 'B', 'C', 'D']);
+        playlist.voting = true;
+        playlist.next();
+
+        playlist.vote('1', 0).should.equal(false);
+        playlist.vote('1', 3);
+        playlist.vote('2', 3);
+        playlist.vote('3', 2);
+        playlist.tally().should.deep.equal({ 2: 1, 3: 2 });
+
+        playlist.next().name.should.equal('D');
+        playlist.votes.should.deep.equal({});
+    });
+
+    it('should keep votes pointing at the same game when one is removed', () => {
+        const playlist = mockPlaylist(['A', 'B', 'C']);
+        playlist.voting = true;
+        playlist.vote('1', 1);
+        playlist.vote('2', 2);
+
+        playlist.remove(1);
+
+        playlist.votes.should.deep.equal({ 2: 1 });
+    });
+
+    it('should keep votes pointing at the same game when games are inserted or moved', () => {
+        const playlist = mockPlaylist(['A', 'B', 'C', 'D']);
+        playlist.voting = true;
+        playlist.next();
+        playlist.vote('1', 1);
+        playlist.vote('2', 3);
+
+        playlist.insertNext({ name: 'E' });
+        playlist.votes.should.deep.equal({ 1: 2, 2: 4 });
+
+        playlist.move(4, 1);
+        playlist.games.map(g => g.name).should.deep.equal(['A', 'D', 'E', 'B', 'C']);
+        playlist.votes.should.deep.equal({ 1: 3, 2: 1 });
+
+        playlist.move(1, 3);
+        playlist.games.map(g => g.name).should.deep.equal(['A', 'E', 'B', 'D', 'C']);
+        playlist.votes.should.deep.equal({ 1: 2, 2: 3 });
+    });
+});
@@ -0,0 +1,138 @@
+const should = require('chai').should();
+
+const Poll = require('../Poll');
+const createRandom = require('../helpers/random');
+const { TIE_BREAK } = require('../constants');
+
+const mockRoom = () => {
+    const events = [];
+
+    return {
+        events,
+        broadcast: (event, payload) => events.push({ event, payload: JSON.parse(JSON.stringify(payload)) })
+    };
+};
+
+const shouldReject = (promise, message) => promise
+    .then(() => {
+        throw new Error('Poll accepted a vote it shouldn\'t have');
+    })
+    .catch(err => {
+        err.should.equal(message);
+    });
+
+describe('Poll', () => {
+    it('should only take votes from voters for known options', () => {
+        const poll = new Poll(mockRoom(), { options: ['a', 'b'], voters: ['1', '2'] });
+
+        return shouldReject(poll.vote('3', 'a'), 'You can\'t vote in this poll.')
+            .then(() => shouldReject(poll.vote('1', 'c'), 'Unknown option.'))
+            .then(() => poll.vote('1', 'a'))
+            .then(tally => {
+                tally.should.deep.equal({ a: 1, b: 0 });
+            });
+    });
+
+    it('should close and resolve once everyone has voted', () => {
+        const room = mockRoom();
+        const poll = new Poll(room, { options: ['a', 'b'], voters: ['1', '2', '3'] }).open();
+
+        poll.vote('1', 'a');
+        poll.vote('2', 'b');
+        poll.vote('1', 'b');
+        poll.vote('3', 'a');
+
+        return poll.promise
+            .then(result => {
+                result.should.deep.equal({ winner: 'b', tied: [], tally: { a: 1, b: 2 }, turnout: 3 });
+                room.events.map(e => e.event).should.deep.equal([
+                    'room/poll',
+                    'room/poll_update',
+                    'room/poll_update',
+                    'room/poll_update',
+                    'room/poll_update',
+                    'room/poll_end'
+                ]);
+
+                return shouldReject(poll.vote('1', 'a'), 'Poll has closed.');
+            });
+    });
+
+    it('should break ties with the chosen strategy', () => {
+        const tie = tieBreak => {
+            const poll = new Poll(mockRoom(), { options: ['a', 'b', 'c'], voters: ['1', '2'], tieBreak });
+            poll.vote('1', 'b');
+            poll.vote('2', 'c');
+
+            return poll.result;
+        };
+
+        tie(TIE_BREAK.FIRST).winner.should.equal('b');
+        ['b', 'c'].should.include(tie(TIE_BREAK.RANDOM).winner);
+        tie(TIE_BREAK.NONE).should.include({ winner: null });
+        tie(TIE_BREAK.NONE).tied.should.deep.equal(['b', 'c']);
+    });
+
+    it('should break random ties with the random numbers it is given', () => {
+        const poll = new Poll(mockRoom(), {
+            options: ['a', 'b', 'c'],
+            voters: ['1', '2'],
+            tieBreak: TIE_BREAK.RANDOM,
+            random: createRandom('tie')
+        });
+        poll.vote('1', 'b');
+        poll.vote('2', 'c');
+
+        poll.result.winner.should.equal(createRandom('tie').pick(['b', 'c']));
+    });
+
+    it('should close when the last voter leaves', () => {
+        const poll = new Poll(mockRoom(), { options: ['a', 'b'], voters: ['1', '2'] });
+        poll.vote('1', 'a');
+        poll.removeVoter('1');
+        should.equal(poll.result, null);
+
+        poll.removeVoter('2');
+
+        return poll.promise
+            .then(result => {
+                should.equal(result.winner, null);
+                result.turnout.should.equal(0);
+            });
+    });
+
+    it('should close when the deadline passes', () => {
+        const poll = new Poll(mockRoom(), { options: ['a', 'b'], voters: ['1', '2'], duration: 5 });
+        poll.vote('1', 'a');
+
+        return poll.promise
+            .then(result => {
+                result.winner.should.equal('a');
+                result.turnout.should.equal(1);
+            });
+    });
+
+    it('should hide who voted for what in anonymous polls', () => {
+        const room = mockRoom();
+        const poll = new Poll(room, { options: ['a', 'b'], voters: ['1', '2'], anonymous: true });
+
+        return poll.vote('1', 'a')
+            .then(tally => {
+                should.equal(tally, null);
+
+                const update = room.events[0].payload.poll;
+                should.not.exist(update.votes);
+                should.not.exist(update.tally);
+                update.voted.should.deep.equal(['1']);
+
+                return poll.vote('2', 'a');
+            })
+            .then(tally => {
+                tally.should.deep.equal({ a: 2, b: 0 });
+
+                const end = room.events.find(e => e.event === 'room/poll_end').payload.poll;
+                should.not.exist(end.votes);
+                end.tally.should.deep.equal({ a: 2, b: 0 });
+            });
+    });
+});
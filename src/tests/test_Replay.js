@@ -0,0 +1,190 @@
+const should = require('chai').should();
+
+const Game = require('../Game');
+const Replay = require('../Replay');
+
+const mockRoom = players => ({
+    players,
+    broadcast: () => {},
+    broadcast_secret: () => {}
+});
+
+// Players roll a die and add their guess to it, first to 20 wins
+class DiceGame extends Game {
+    setup() {
+        this.totals = {};
+        return { readyUp: false };
+    }
+
+    handleMove(move, player) {
+        const roll = player.rollDie()[0];
+        this.totals[player._id] = (this.totals[player._id] || 0) + roll + move.add;
+
+        return Promise.resolve(Object.assign({ roll }, move));
+    }
+}
+
+// Players can ask everyone whether to double or halve their next roll
+class PollGame extends DiceGame {
+    handleMove(move, player) {
+        if(move.poll) {
+            this.createPoll({ options: ['double', 'half'] }).promise
+                .then(result => {
+                    this.choice = result.winner;
+                    this.bonus = this.random.int(1, 6);
+                });
+        }
+
+        return super.handleMove(move, player);
+    }
+}
+
+const play = () => {
+    const game = new DiceGame({ name: 'dice', seed: 'replay' }, mockRoom([{ _id: '1' }, { _id: '2' }]));
+    game.init();
+
+    const moves = [['1', 1], ['2', 2], ['1', 3], ['2', 4], ['1', 5]];
+    return moves
+        .reduce((prev, [id, add]) => prev.then(() => game.playerMove(game.findPlayer(id), { add })), Promise.resolve())
+        .then(() => game);
+};
+
+describe('Replay', () => {
+    it('should play a game back to the same state', () => {
+        return play()
+            .then(game => {
+                const replay = new Replay(DiceGame, game.toRecording());
+
+                return replay.seek(game.moves.length)
+                    .then(state => {
+                        state.index.should.equal(5);
+                        replay.game.totals.should.deep.equal(game.totals);
+                        replay.game.round.should.deep.equal(game.round);
+                        replay.game.turn.should.deep.equal(game.turn);
+                    });
+            });
+    });
+
+    it('should step forward and back through the moves', () => {
+        return play()
+            .then(game => {
+                const replay = new Replay(DiceGame, game.toRecording());
+                const steps = [];
+                replay.on('step', state => steps.push(state.index));
+
+                return replay.stepForward()
+                    .then(() => replay.stepForward())
+                    .then(() => replay.stepBack())
+                    .then(state => {
+                        steps.should.deep.equal([1, 2, 1]);
+                        state.move.should.deep.equal(game.moves[0]);
+                        replay.game.moves.length.should.equal(1);
+                    });
+            });
+    });
+
+    it('should jump to the start of a turn', () => {
+        return play()
+            .then(game => {
+                const replay = new Replay(DiceGame, game.toRecording());
+
+                return replay.jumpToTurn(2, 2)
+                    .then(state => {
+                        state.index.should.equal(3);
+                        replay.game.round.number.should.equal(2);
+                        replay.game.turn.number.should.equal(2);
+                    });
+            });
+    });
+
+    it('should fail when the replay diverges from the recording', () => {
+        return play()
+            .then(game => {
+                const recording = game.toRecording();
+                recording.seed = 'another seed';
+                recording.moves[0].draws = 99;
+                const replay = new Replay(DiceGame, recording);
+
+                return replay.seek(1)
+                    .then(() => {
+                        throw new Error('Replay accepted a diverged move');
+                    })
+                    .catch(err => {
+                        err.message.should.equal('Replay out of sync at move 1.');
+                    });
+            });
+    });
+
+    it('should replay turns that timed out and players who dropped', () => {
+        const game = new DiceGame({ name: 'dice', seed: 'events' }, mockRoom([{ _id: '1' }, { _id: '2' }]));
+        game.init();
+
+        return game.playerMove(game.findPlayer('1'), { add: 1 })
+            // Player 2 runs out of time
+            .then(() => game.expireTurn())
+            .then(() => game.playerMove(game.findPlayer('1'), { add: 2 }))
+            .then(() => {
+                // Player 2's turns are skipped until they are back
+                game.handlePlayerDisconnect({ _id: '2' });
+
+                return game.playerMove(game.findPlayer('1'), { add: 3 });
+            })
+            .then(() => {
+                game.handlePlayerReconnect({ _id: '2' });
+
+                return game.playerMove(game.findPlayer('1'), { add: 4 });
+            })
+            .then(() => game.playerMove(game.findPlayer('2'), { add: 5 }))
+            .then(() => {
+                game.events.map(e => e.type).should.deep.equal(['timeout', 'disconnect', 'reconnect']);
+                const replay = new Replay(DiceGame, game.toRecording());
+
+                return replay.seek(game.moves.length)
+                    .then(() => {
+                        replay.game.totals.should.deep.equal(game.totals);
+                        replay.game.round.should.deep.equal(game.round);
+                        replay.game.turn.should.deep.equal(game.turn);
+                    });
+            });
+    });
+
+    it('should replay the results of game polls', () => {
+        const game = new PollGame({ name: 'dice', seed: 'polls' }, mockRoom([{ _id: '1' }, { _id: '2' }]));
+        game.init();
+
+        return game.playerMove(game.findPlayer('1'), { add: 1, poll: true })
+            .then(() => game.vote(game.polls[0].id, '1', 'half'))
+            .then(() => game.vote(game.polls[0].id, '2', 'half'))
+            .then(() => game.playerMove(game.findPlayer('2'), { add: 2 }))
+            .then(() => {
+                const replay = new Replay(PollGame, game.toRecording());
+
+                return replay.seek(game.moves.length)
+                    .then(() => {
+                        replay.game.choice.should.equal('half');
+                        replay.game.bonus.should.equal(game.bonus);
+                        replay.game.totals.should.deep.equal(game.totals);
+                    });
+            });
+    });
+
+    it('should only show the replayed game as spectators see it', () => {
+        class CardGame extends DiceGame {
+            createPlayer(player) {
+                const gamePlayer = super.createPlayer(player);
+                gamePlayer.hand = [`secret-${player._id}`];
+                gamePlayer.setVisibility('hand', [player._id]);
+
+                return gamePlayer;
+            }
+        }
+        const game = new CardGame({ name: 'dice', seed: 'cards' }, mockRoom([{ _id: '1' }, { _id: '2' }]));
+        game.init();
+
+        return game.playerMove(game.findPlayer('1'), { add: 1 })
+            .then(() => new Replay(CardGame, game.toRecording()).seek(1))
+            .then(state => {
+                state.game.players.forEach(p => should.not.exist(p.hand));
+            });
+    });
+});
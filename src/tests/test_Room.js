@@ -1,6 +1,12 @@
 const should = require('chai').should();
 
+const Game = require('../Game');
 const Room = require('../Room');
+const flush = require('../helpers/flush');
+const { Logger } = require('../logging');
+const { TEAM_ASSIGN, GAME_ERROR_ACTION } = require('../constants');
+const { EventEmitterTransport } = require('../transports');
+const MemoryStorage = require('../storage/MemoryStorage');
 
 const mockPlayer = (_id, username) => ({ _id, username, rooms: [] });
 
@@ -109,7 +115,7 @@ describe('Room', () => {
         const room = new Room('Mock', { _id: '1' }, {}, mockIO);
         const new_name = 'Room 101';
 
-        room.setName(new_name);
+        room.setName('1', new_name);
         room.name.should.equal(new_name);
     });
 
@@ -119,7 +125,7 @@ describe('Room', () => {
         room.addPlayer(mockPlayer('1', 'abc'), mockSocket);
         room.addPlayer(new_host, mockSocket);
 
-        room.changeHost('2');
+        room.changeHost('1', '2');
 
         room.host.should.equal(new_host._id);
     });
@@ -128,7 +134,7 @@ describe('Room', () => {
         const room = new Room('Mock', { _id: '1' }, {});
 
         const privacy = 'private';
-        room.updateSettings({ privacy });
+        room.updateSettings('1', { privacy });
 
         room.settings.privacy.should.equal(privacy);
     });
@@ -140,9 +146,21 @@ describe('Room', () => {
         });
 
         const password = 'hunter2';
-        room.updateSettings({ password });
 
-        room.settings.password.should.equal(password);
+        return room.updateSettings('1', { password })
+            .then(settings => {
+                settings.password.should.not.equal(password);
+
+                return room.checkPassword(password);
+            })
+            .then(denied => {
+                should.not.exist(denied);
+
+                return room.checkPassword('secret');
+            })
+            .then(denied => {
+                denied.should.equal('Incorrect password.');
+            });
     });
 
     it('should update player limit', () => {
@@ -151,7 +169,7 @@ describe('Room', () => {
         });
 
         const player_limit = 4;
-        room.updateSettings({ player_limit });
+        room.updateSettings('1', { player_limit });
 
         room.settings.player_limit.should.equal(player_limit);
     });
@@ -159,7 +177,7 @@ describe('Room', () => {
     it('should add a game to the playlist', () => {
         const room = new Room('Mock', { _id: '1' }, {}, mockIO);
 
-        room.addGame({ name: 'test' });
+        room.addGame('1', { name: 'test' });
 
         room.playlist.games.length.should.equal(1);
     });
@@ -176,4 +194,748 @@ describe('Room', () => {
         room.toJSON().should.not.have.property('id');
         room.toJSON().settings.should.not.have.property('password');
     });
+
+    it('should restore a room and resume its game from a snapshot', () => {
+        class TestGame extends Game {
+            setup() {
+                return { readyUp: false };
+            }
+            handleMove(move) {
+                return Promise.resolve(move);
+            }
+            serializeState() {
+                return { word: this.word };
+            }
+            restoreState(state) {
+                this.word = state.word;
+            }
+        }
+        const gameLoader = name => {
+            name.should.equal('test');
+            return TestGame;
+        };
+        const storage = new MemoryStorage();
+
+        const room = new Room('Mock', { _id: '1' }, {}, mockIO);
+        room.addPlayer(mockPlayer('1', 'abc'), mockSocket);
+        room.addPlayer(mockPlayer('2', 'def'), mockSocket);
+        room.addGame('1', { name: 'Test' });
+        room.start('1', gameLoader);
+        room.game.word = 'hangman';
+
+        return room.game.playerMove(room.game.players[0], { guess: 'a' })
+            .then(() => room.save(storage))
+            .then(() => storage.load(room.id))
+            .then(snapshot => {
+                const restored = Room.restore(snapshot, mockIO, gameLoader);
+
+                restored.id.should.equal(room.id);
+                restored.code.should.equal(room.code);
+                restored.players.length.should.equal(2);
+                restored.playlist.index.should.equal(0);
+                restored.game.should.be.an.instanceof(TestGame);
+                restored.game.word.should.equal('hangman');
+                restored.game.moves.length.should.equal(1);
+                restored.game.turn.player_id.should.equal('2');
+
+                return restored.game.playerMove(restored.game.players[1], { guess: 'b' });
+            })
+            .then(move => {
+                move.round.should.equal(1);
+                move.turn.should.equal(2);
+            });
+    });
+
+    it('should refuse to restore a snapshot from an unknown version', () => {
+        (() => Room.restore({ version: 0 }, mockIO, () => Game))
+            .should.throw('Unsupported room snapshot version.');
+    });
+
+    it('should add spectators without taking a player place', () => {
+        const room = new Room('Mock', { _id: '1' }, { player_limit: 1 }, mockIO);
+
+        return room.addPlayer(mockPlayer('1', 'abc'), mockSocket)
+            .then(() => room.addSpectator(mockPlayer('2', 'def'), mockSocket))
+            .then(playerRoom => {
+                room.players.length.should.equal(1);
+                room.spectators.length.should.equal(1);
+                playerRoom.spectators[0].username.should.equal('def');
+
+                return room.addPlayer(mockPlayer('3', 'ghi'), mockSocket);
+            })
+            .then(() => {
+                throw new Error('Room accepted a player over the limit');
+            })
+            .catch(err => {
+                err.should.equal('Room is full.');
+            });
+    });
+
+    it('should deny spectators when the spectator limit is reached', () => {
+        const room = new Room('Mock', { _id: '1' }, { spectator_limit: 0 }, mockIO);
+
+        return room.addSpectator(mockPlayer('2', 'def'), mockSocket)
+            .then(() => {
+                throw new Error('Room accepted a spectator over the limit');
+            })
+            .catch(err => {
+                err.should.equal('Room is full of spectators.');
+            });
+    });
+
+    it('should promote a spectator into the next game', () => {
+        const spectator = mockPlayer('2', 'def');
+        const room = new Room('Mock', { _id: '1' }, {}, mockIO);
+        room.addPlayer(mockPlayer('1', 'abc'), mockSocket);
+        room.addSpectator(spectator, mockSocket);
+
+        return room.promoteSpectator('2', '2')
+            .then(() => {
+                throw new Error('Room let a spectator promote themselves');
+            })
+            .catch(err => {
+                err.should.equal('Only the host can do that.');
+                room.spectators.length.should.equal(1);
+
+                return room.promoteSpectator('1', '2');
+            })
+            .then(() => {
+                room.spectators.length.should.equal(0);
+                room.players[1].should.equal(spectator);
+
+                room.addGame('1', { name: 'Test' });
+                room.start('1', () => Game);
+                room.game.findPlayer('2')._id.should.equal('2');
+            });
+    });
+
+    it('should remove a spectator from the room', () => {
+        const spectator = mockPlayer('2', 'def');
+        const room = new Room('Mock', { _id: '1' }, {}, mockIO);
+
+        return room.addSpectator(spectator, mockSocket)
+            .then(() => room.removeSpectator(spectator, mockSocket))
+            .then(() => {
+                room.spectators.length.should.equal(0);
+                spectator.rooms.length.should.equal(0);
+            });
+    });
+
+    it('should hold a dropped player\'s seat and skip their turns', () => {
+        const player2 = mockPlayer('2', 'def');
+        const room = new Room('Mock', { _id: '1' }, {}, mockIO);
+        room.addPlayer(mockPlayer('1', 'abc'), mockSocket);
+        room.addPlayer(player2, mockSocket);
+        room.addPlayer(mockPlayer('3', 'ghi'), mockSocket);
+        room.addGame('1', { name: 'Test' });
+        room.start('1', () => class extends Game {
+            setup() {
+                return { readyUp: false };
+            }
+            handleMove(move) {
+                return Promise.resolve(move);
+            }
+        });
+
+        return room.disconnectPlayer(player2, mockSocket)
+            .then(deadline => {
+                room.players.length.should.equal(3);
+                room.disconnected['2'].should.equal(deadline);
+
+                return room.game.playerMove(room.game.players[0], {});
+            })
+            .then(() => {
+                room.game.turn.player_id.should.equal('3');
+
+                return room.addPlayer(player2, mockSocket);
+            })
+            .then(playerRoom => {
+                room.disconnected.should.not.have.property('2');
+                room.game.isDisconnected('2').should.equal(false);
+                playerRoom.game.players.length.should.equal(3);
+            });
+    });
+
+    it('should remove a dropped player who does not reconnect in time', done => {
+        const player2 = mockPlayer('2', 'def');
+        const room = new Room('Mock', { _id: '1' }, { reconnect_timeout: 10 }, mockIO);
+        room.addPlayer(mockPlayer('1', 'abc'), mockSocket);
+        room.addPlayer(player2, mockSocket);
+
+        room.disconnectPlayer(player2, mockSocket);
+
+        setTimeout(() => {
+            room.players.length.should.equal(1);
+            room.players[0]._id.should.equal('1');
+            room.disconnected.should.not.have.property('2');
+            done();
+        }, 30);
+    });
+
+    it('should assign players to teams manually and by balancing', () => {
+        const room = new Room('Mock', { _id: '1' }, {}, mockIO);
+        ['1', '2', '3', '4', '5'].forEach(id => room.addPlayer(mockPlayer(id, id), mockSocket));
+        room.setTeams('1', ['Red', 'Blue']);
+
+        return room.assignTeam('1', '1', 'blue')
+            .then(() => room.assignTeam('1', '2', 'blue'))
+            .then(() => room.assignTeams('1', TEAM_ASSIGN.BALANCE))
+            .then(teams => {
+                teams[0].players.should.deep.equal(['3', '4', '5']);
+                teams[1].players.should.deep.equal(['1', '2']);
+                room.findTeam('4').id.should.equal('red');
+
+                return room.assignTeam('1', '1', 'green');
+            })
+            .then(() => {
+                throw new Error('Room assigned a player to a missing team');
+            })
+            .catch(err => {
+                err.should.equal('Team does not exist.');
+            });
+    });
+
+    it('should log team broadcasts that fail', () => {
+        const entries = [];
+        const room = new Room('Mock', { _id: '1' }, {}, mockIO);
+        room.setLogger(new Logger({ sinks: [entry => entries.push(entry)] }));
+        room.broadcast_filter = () => Promise.reject(new Error('Adapter down'));
+        room.setTeams('1', ['Red', 'Blue']);
+
+        return room.broadcastToTeam('red', 'team/hint', { word: 'apple' })
+            .then(() => {
+                const entry = entries.find(e => e.event === 'broadcast_failed');
+                entry.broadcast.should.equal('team/hint');
+                entry.error.message.should.equal('Adapter down');
+            });
+    });
+
+    it('should shuffle every player into even teams', () => {
+        const room = new Room('Mock', { _id: '1' }, {}, mockIO);
+        ['1', '2', '3', '4'].forEach(id => room.addPlayer(mockPlayer(id, id), mockSocket));
+        room.setTeams('1', ['Red', 'Blue']);
+
+        return room.assignTeam('1', '1', 'red')
+            .then(() => room.assignTeams('1', TEAM_ASSIGN.RANDOM))
+            .then(teams => {
+                teams[0].players.length.should.equal(2);
+                teams[1].players.length.should.equal(2);
+            });
+    });
+
+    it('should let the host kick and ban players', () => {
+        const transport = new EventEmitterTransport();
+        const room = new Room('Mock', { _id: '1' }, {}, transport);
+        const player2 = mockPlayer('2', 'def');
+        const connection2 = transport.connect(player2);
+        const kicked = [];
+        connection2.on('room/kicked', payload => kicked.push(payload.reason));
+
+        return room.addPlayer(mockPlayer('1', 'abc'), transport.connect({ _id: '1' }))
+            .then(() => room.addPlayer(player2, connection2))
+            .then(() => room.kickPlayer('2', '1'))
+            .catch(err => {
+                err.should.equal('Only the host can do that.');
+
+                return room.kickPlayer('1', '2', 'Spamming');
+            })
+            .then(() => {
+                kicked.should.deep.equal(['Spamming']);
+                room.players.length.should.equal(1);
+
+                return room.banPlayer('1', '2');
+            })
+            .then(() => room.addPlayer(player2, transport.connect(player2)))
+            .then(() => {
+                throw new Error('Room accepted a banned player');
+            })
+            .catch(err => {
+                err.should.equal('You are banned from this room.');
+
+                return room.unbanPlayer('1', '2');
+            })
+            .then(() => room.addPlayer(player2, transport.connect(player2)))
+            .then(() => {
+                room.players.length.should.equal(2);
+            });
+    });
+
+    it('should stop new players joining a locked room', () => {
+        const room = new Room('Mock', { _id: '1' }, {}, mockIO);
+        room.addPlayer(mockPlayer('1', 'abc'), mockSocket);
+
+        return room.lockRoom('1')
+            .then(() => room.addPlayer(mockPlayer('2', 'def'), mockSocket))
+            .then(() => {
+                throw new Error('Room accepted a player while locked');
+            })
+            .catch(err => {
+                err.should.equal('Room is locked.');
+
+                return room.unlockRoom('1');
+            })
+            .then(() => room.addPlayer(mockPlayer('2', 'def'), mockSocket))
+            .then(() => {
+                room.players.length.should.equal(2);
+            });
+    });
+
+    it('should only let the host change settings, the playlist and start', () => {
+        const room = new Room('Mock', { _id: '1' }, {}, mockIO);
+        room.addPlayer(mockPlayer('1', 'abc'), mockSocket);
+        room.addPlayer(mockPlayer('2', 'def'), mockSocket);
+
+        const denied = promise => promise
+            .then(() => {
+                throw new Error('Room let a player who isn\'t the host do that');
+            })
+            .catch(err => {
+                err.should.equal('Only the host can do that.');
+            });
+
+        return denied(room.updateSettings('2', { player_limit: 2 }))
+            .then(() => denied(room.addGame('2', { name: 'Test' })))
+            .then(() => denied(room.start('2', () => Game)))
+            .then(() => room.addGame('1', { name: 'Test' }))
+            .then(() => room.start('1', () => Game))
+            .then(game => {
+                room.settings.player_limit.should.equal(16);
+                game.should.equal(room.game);
+            });
+    });
+
+    it('should turn down host actions made without the host', () => {
+        const room = new Room('Mock', { _id: '1' }, {}, mockIO);
+        room.addPlayer(mockPlayer('1', 'abc'), mockSocket);
+        room.addPlayer(mockPlayer('2', 'def'), mockSocket);
+        room.addGame('1', { name: 'First' });
+        room.addGame('1', { name: 'Second' });
+
+        const actions = host_id => [
+            room.updateSettings(host_id, { player_limit: 2 }),
+            room.addGame(host_id, { name: 'Test' }),
+            room.insertNextGame(host_id, { name: 'Test' }),
+            room.removeGame(host_id, 1),
+            room.moveGame(host_id, 1, 0),
+            room.setPlaylistOptions(host_id, { shuffle: true }),
+            room.start(host_id, () => Game),
+            room.skipGame(host_id),
+            room.restartGame(host_id),
+            room.resetScoreboard(host_id),
+            room.setName(host_id, 'Taken'),
+            room.changeHost(host_id, '2'),
+            room.setTeams(host_id, ['Red', 'Blue']),
+            room.assignTeam(host_id, '2', 'red'),
+            room.assignTeams(host_id),
+            room.addBot(host_id),
+            room.removeBot(host_id, 'bot'),
+            room.replaceWithBot(host_id, '2'),
+            room.createPoll(host_id, { options: ['yes', 'no'] })
+        ];
+        const denied = promise => promise
+            .then(() => {
+                throw new Error('Room let a player who isn\'t the host do that');
+            })
+            .catch(err => {
+                err.should.equal('Only the host can do that.');
+            });
+
+        return Promise.all(actions(undefined).concat(actions('2')).map(denied))
+            .then(() => {
+                room.name.should.equal('Mock');
+                room.host.should.equal('1');
+                room.playlist.games.length.should.equal(2);
+                room.players.length.should.equal(2);
+                should.equal(room.game, undefined);
+            });
+    });
+
+    it('should give the host to the longest present player when the host leaves', () => {
+        const host = mockPlayer('1', 'abc');
+        const room = new Room('Mock', { _id: '1' }, {}, mockIO);
+        room.addPlayer(host, mockSocket);
+        room.addPlayer(mockPlayer('2', 'def'), mockSocket);
+        room.addPlayer(mockPlayer('3', 'ghi'), mockSocket);
+
+        return room.removePlayer(host, mockSocket)
+            .then(() => {
+                room.host.should.equal('2');
+            });
+    });
+
+    it('should skip games and describe each playlist change', () => {
+        const transport = new EventEmitterTransport();
+        const room = new Room('Mock', { _id: '1' }, {}, transport);
+        const changes = [];
+        const connection = transport.connect(mockPlayer('1', 'abc'));
+        connection.on('room/update_playlist', payload => changes.push(payload.change.type));
+        room.addPlayer(mockPlayer('1', 'abc'), connection);
+        room.addPlayer(mockPlayer('2', 'def'), transport.connect(mockPlayer('2', 'def')));
+
+        return room.addGame('1', { name: 'First' })
+            .then(() => room.addGame('1', { name: 'Second' }))
+            .then(() => room.addGame('1', { name: 'Third' }))
+            .then(() => room.start('1', () => Game))
+            .then(() => room.moveGame('1', 2, 1))
+            .then(() => room.removeGame('1', 0))
+            .then(() => {
+                throw new Error('Room removed a game that was already played');
+            })
+            .catch(err => {
+                err.should.equal('Only games still to be played can be removed.');
+
+                return room.skipGame('2');
+            })
+            .catch(err => {
+                err.should.equal('Only the host can do that.');
+
+                return room.skipGame('1');
+            })
+            .then(game => {
+                game.gameObj.name.should.equal('Third');
+                room.playlist.index.should.equal(1);
+                changes.should.deep.equal(['add', 'add', 'add', 'start', 'move', 'skip', 'start']);
+                room.game.clearTimer();
+            });
+    });
+
+    it('should add finished games to the session standings', () => {
+        const transport = new EventEmitterTransport();
+        const room = new Room('Mock', { _id: '1' }, {}, transport);
+        const connection = transport.connect(mockPlayer('1', 'abc'));
+        const standings = [];
+        connection.on('room/standings', payload => standings.push(payload));
+        room.addPlayer(mockPlayer('1', 'abc'), connection);
+        room.addPlayer(mockPlayer('2', 'def'), transport.connect(mockPlayer('2', 'def')));
+
+        return room.addGame('1', { name: 'Test' })
+            .then(() => room.start('1', () => Game))
+            .then(game => {
+                game.handleEnd = () => Promise.resolve({ scores: { 1: 2, 2: 8 } });
+
+                return game.onEnd();
+            })
+            .then(() => {
+                clearTimeout(room.nextGameTimeout);
+
+                standings.length.should.equal(1);
+                standings[0].game.points.should.deep.equal({ 1: 7, 2: 10 });
+                room.scoreboard.standings()[0].username.should.equal('def');
+                room.snapshot().scoreboard.games.length.should.equal(1);
+
+                return room.updateSettings('1', { scoring: 'DICE' });
+            })
+            .then(() => {
+                throw new Error('Room accepted an unknown scoring rule');
+            })
+            .catch(err => {
+                err.should.equal('Unknown scoring rule.');
+            });
+    });
+
+    it('should add bots and hand a dropped player\'s seat to a bot', () => {
+        const transport = new EventEmitterTransport();
+        const room = new Room('Mock', { _id: '1' }, { player_limit: 3 }, transport);
+        room.addPlayer(mockPlayer('1', 'abc'), transport.connect(mockPlayer('1', 'abc')));
+        const player = mockPlayer('2', 'def');
+        const connection = transport.connect(player);
+        room.addPlayer(player, connection);
+
+        return room.addBot('2', {})
+            .then(() => {
+                throw new Error('Room let a player who isn\'t the host add a bot');
+            })
+            .catch(err => {
+                err.should.equal('Only the host can do that.');
+
+                return room.addBot('1', {});
+            })
+            .then(bot => {
+                bot.username.should.equal('Bot 1');
+
+                return room.addBot('1');
+            })
+            .then(() => {
+                throw new Error('Room added a bot when it was full');
+            })
+            .catch(err => {
+                err.should.equal('Room is full.');
+
+                return room.addGame('1', { name: 'Test' });
+            })
+            .then(() => room.start('1', () => Game))
+            .then(game => {
+                game.players[2].bot.should.equal(true);
+
+                return room.disconnectPlayer(player, connection);
+            })
+            .then(() => room.replaceWithBot('1', '2'))
+            .then(bot => {
+                bot.username.should.equal('def (Bot)');
+                room.game.isBot('2').should.equal(true);
+                room.game.isDisconnected('2').should.equal(false);
+                should.not.exist(room.reconnectTimeouts['2']);
+
+                return room.addPlayer(player, transport.connect(player));
+            })
+            .then(() => {
+                throw new Error('Room gave a player back a seat taken by a bot');
+            })
+            .catch(err => {
+                err.should.equal('Your seat has been taken by a bot.');
+                room.game.clearTimer();
+                room.game.clearBotMoves();
+            });
+    });
+
+    it('should ready up bots so a game with bots can start', () => {
+        class ReadyGame extends Game {
+            setup() {
+                return {};
+            }
+        }
+        const room = new Room('Mock', { _id: '1' }, {}, mockIO);
+        room.addPlayer(mockPlayer('1', 'abc'), mockSocket);
+        room.addPlayer(mockPlayer('2', 'def'), mockSocket);
+
+        return room.addBot('1')
+            .then(() => room.addGame('1', { name: 'Test' }))
+            .then(() => room.start('1', () => ReadyGame))
+            .then(game => {
+                game.players[2].ready.should.equal(true);
+
+                return room.replaceWithBot('1', '2');
+            })
+            .then(() => {
+                room.game.players[1].ready.should.equal(true);
+                room.game.started.should.equal(false);
+
+                room.game.readyUp('1').should.equal(true);
+                room.game.started.should.equal(true);
+
+                return flush();
+            })
+            .then(() => {
+                room.game.clearTimer();
+                room.game.clearBotMoves();
+            });
+    });
+
+    it('should move on to the next game when the game is destroyed', () => {
+        const room = new Room('Mock', { _id: '1' }, {}, mockIO);
+        const player = mockPlayer('2', 'def');
+        room.addPlayer(mockPlayer('1', 'abc'), mockSocket);
+        room.addPlayer(player, mockSocket);
+
+        return room.addGame('1', { name: 'Duel', min_players: 2 })
+            .then(() => room.addGame('1', { name: 'Solo' }))
+            .then(() => room.start('1', () => Game))
+            .then(game => {
+                room.removePlayer(player, mockSocket);
+                game.destroyed.should.equal(true);
+
+                return flush();
+            })
+            .then(() => {
+                room.game.name.should.equal('Solo');
+                room.playlist.index.should.equal(1);
+                room.game.clearTimer();
+                room.game.clearBotMoves();
+            });
+    });
+
+    it('should run a poll of the room\'s players', () => {
+        const room = new Room('Mock', { _id: '1' }, {}, mockIO);
+        room.addPlayer(mockPlayer('1', 'abc'), mockSocket);
+        room.addPlayer(mockPlayer('2', 'def'), mockSocket);
+        room.addPlayer(mockPlayer('3', 'ghi'), mockSocket);
+
+        return room.createPoll('1', { question: 'Skip this game?', options: ['yes', 'no'] })
+            .then(poll => {
+                poll.voters.should.deep.equal(['1', '2', '3']);
+                room.toJSON().polls.length.should.equal(1);
+
+                return room.vote(poll.id, '1', 'yes')
+                    .then(() => room.vote(poll.id, '2', 'yes'))
+                    .then(() => room.removePlayer(room.players[2]))
+                    .then(() => poll.promise);
+            })
+            .then(result => {
+                result.winner.should.equal('yes');
+                room.polls.length.should.equal(0);
+            });
+    });
+
+    it('should let players in with invites the host can revoke', () => {
+        const room = new Room('Mock', { _id: '1' }, { privacy: 'private', password: 'secret' }, mockIO);
+        const join = (_id, invite) => room.addPlayer(mockPlayer(_id, _id), mockSocket, null, invite)
+            .then(() => null, err => err);
+
+        return room.addPlayer(mockPlayer('1', 'abc'), mockSocket, 'secret')
+            .then(() => room.createInvite('2'))
+            .then(() => {
+                throw new Error('Room let a player who isn\'t the host create an invite');
+            })
+            .catch(err => {
+                err.should.equal('Only the host can do that.');
+
+                return Promise.all([
+                    room.createInvite('1'),
+                    room.createInvite('1', { uses: null }),
+                    room.createInvite('1', { expiresIn: -1 })
+                ]);
+            })
+            .then(([single, multi, expired]) => join('2', single.token)
+                .then(err => {
+                    should.not.exist(err);
+
+                    return join('3', single.token);
+                })
+                .then(err => {
+                    err.should.equal('Invite is not valid.');
+
+                    return join('3', expired.token);
+                })
+                .then(err => {
+                    err.should.equal('Invite has expired.');
+
+                    return join('3', multi.token);
+                })
+                .then(err => {
+                    should.not.exist(err);
+
+                    return room.revokeInvite('1', multi.token);
+                })
+                .then(() => join('4', multi.token)))
+            .then(err => {
+                err.should.equal('Invite is not valid.');
+                room.players.map(p => p._id).should.deep.equal(['1', '2', '3']);
+                room.snapshot().settings.password.should.not.equal('secret');
+            });
+    });
+
+    it('should throttle failed attempts to join from a player or address', () => {
+        const room = new Room('Mock', { _id: '1' }, {
+            privacy: 'private',
+            password: 'secret',
+            join_attempt_limit: 2
+        }, mockIO);
+        const socket = Object.assign({ handshake: { address: '10.0.0.1' } }, mockSocket);
+        const join = (_id, password) => room.addPlayer(mockPlayer(_id, _id), socket, password)
+            .then(() => null, err => err);
+
+        return join('2', 'guess')
+            .then(() => join('3', 'guess'))
+            .then(err => {
+                err.should.equal('Incorrect password.');
+
+                // The address has used up its attempts, even for another player
+                return join('4', 'secret');
+            })
+            .then(err => {
+                err.should.match(/^Too many attempts to join\. Try again in \d+ seconds\.$/);
+
+                return room.addPlayer(mockPlayer('4', '4'), mockSocket, 'secret');
+            })
+            .then(() => {
+                room.players.length.should.equal(1);
+            });
+    });
+
+    it('should count guesses sent at the same time against the limit', () => {
+        const room = new Room('Mock', { _id: '1' }, {
+            privacy: 'private',
+            password: 'secret',
+            join_attempt_limit: 2
+        }, mockIO);
+        const join = (_id, password) => room.addPlayer(mockPlayer(_id, _id), mockSocket, password)
+            .then(() => null, err => err);
+
+        return Promise.all([join('2', 'a'), join('2', 'b'), join('2', 'secret')])
+            .then(errors => {
+                errors[0].should.equal('Incorrect password.');
+                errors[1].should.equal('Incorrect password.');
+                errors[2].should.match(/^Too many attempts to join/);
+                room.players.length.should.equal(0);
+            });
+    });
+
+    it('should forget failed attempts to join once they expire', done => {
+        const room = new Room('Mock', { _id: '1' }, {
+            privacy: 'private',
+            password: 'secret',
+            join_attempt_interval: 10
+        }, mockIO);
+        const join = (_id, password) => room.addPlayer(mockPlayer(_id, _id), mockSocket, password)
+            .then(() => null, err => err);
+
+        join('2', 'guess')
+            .then(() => {
+                room.joinAttempts.should.have.property('player:2');
+
+                setTimeout(() => {
+                    // Player 2 never tries again, their attempts go with the next failure
+                    join('3', 'guess')
+                        .then(() => {
+                            Object.keys(room.joinAttempts).should.deep.equal(['player:3']);
+                            done();
+                        })
+                        .catch(done);
+                }, 20);
+            });
+    });
+
+    it('should restart, skip or hold a game that fails', () => {
+        class BrokenGame extends Game {
+            handleRoundStart() {
+                return Promise.reject(new Error('Board missing'));
+            }
+        }
+        const transport = new EventEmitterTransport();
+        const room = new Room('Mock', { _id: '1' }, { game_error_action: GAME_ERROR_ACTION.RESTART }, transport);
+        room.setLogger(new Logger({ sinks: [() => {}] }));
+        const connection = transport.connect(mockPlayer('1', 'abc'));
+        const actions = [];
+        const changes = [];
+        connection.on('room/game_error', payload => actions.push(payload.action));
+        connection.on('room/update_playlist', payload => changes.push(payload.change.type));
+        room.addPlayer(mockPlayer('1', 'abc'), connection);
+        room.addPlayer(mockPlayer('2', 'def'), transport.connect(mockPlayer('2', 'def')));
+
+        return room.addGame('1', { name: 'Broken' })
+            .then(() => room.addGame('1', { name: 'Working' }))
+            .then(() => room.addGame('1', { name: 'Broken' }))
+            .then(() => room.start('1', name => name === 'broken' ? BrokenGame : Game))
+            .then(flush)
+            .then(() => {
+                // Restarted once, then skipped when it failed again
+                actions.should.deep.equal([GAME_ERROR_ACTION.RESTART, GAME_ERROR_ACTION.SKIP]);
+                changes.slice(3).should.deep.equal(['start', 'restart', 'start', 'skip', 'start']);
+                room.game.gameObj.name.should.equal('Working');
+
+                return room.updateSettings('1', { game_error_action: GAME_ERROR_ACTION.NOTIFY_HOST });
+            })
+            .then(() => room.skipGame('1'))
+            .then(flush)
+            .then(() => {
+                // The failed game waits for the host
+                actions[2].should.equal(GAME_ERROR_ACTION.NOTIFY_HOST);
+                room.game.gameObj.name.should.equal('Broken');
+                room.playlist.index.should.equal(2);
+
+                return room.restartGame('2');
+            })
+            .catch(err => {
+                err.should.equal('Only the host can do that.');
+
+                return room.updateSettings('1', { game_error_action: 'IGNORE' });
+            })
+            .then(() => {
+                throw new Error('Room accepted an unknown game error action');
+            })
+            .catch(err => {
+                err.should.equal('Unknown game error action.');
+                room.close();
+            });
+    });
 });
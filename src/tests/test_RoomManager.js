@@ -0,0 +1,125 @@
+const should = require('chai').should();
+
+const Game = require('../Game');
+const RoomManager = require('../RoomManager');
+const { EventEmitterTransport } = require('../transports');
+
+const mockPlayer = (_id, username) => ({ _id, username, rooms: [] });
+
+describe('RoomManager', () => {
+    it('should create rooms and join them by code', () => {
+        const transport = new EventEmitterTransport();
+        const manager = new RoomManager(transport);
+        const host = mockPlayer('1', 'abc');
+        const player = mockPlayer('2', 'def');
+
+        return manager.createRoom('Party', host, {}, transport.connect(host))
+            .then(room => {
+                manager.get(room.id).should.equal(room);
+                host.rooms.should.deep.equal([room.id]);
+
+                return manager.joinRoom(room.code, player, transport.connect(player));
+            })
+            .then(() => {
+                const room = manager.findByCode(manager.listRooms()[0].code);
+                room.players.length.should.equal(2);
+
+                return manager.joinRoom('nope', player, transport.connect(player));
+            })
+            .then(() => {
+                throw new Error('Room manager joined a room that doesn\'t exist');
+            })
+            .catch(err => {
+                err.should.equal('Room not found.');
+            });
+    });
+
+    it('should find rooms after their code changes', () => {
+        const transport = new EventEmitterTransport();
+        const manager = new RoomManager(transport);
+        const host = mockPlayer('1', 'abc');
+
+        return manager.createRoom('Party', host, {}, transport.connect(host))
+            .then(room => room.updateSettings(host._id, { privacy: 'private', password: 'secret' })
+                .then(() => {
+                    manager.findByCode(room.code).should.equal(room);
+                }));
+    });
+
+    it('should keep players to one room at a time', () => {
+        const transport = new EventEmitterTransport();
+        const manager = new RoomManager(transport);
+        const host = mockPlayer('1', 'abc');
+
+        return manager.createRoom('One', host, {}, transport.connect(host))
+            .then(() => manager.createRoom('Two', host, {}, transport.connect(host)))
+            .then(() => {
+                throw new Error('Room manager let a player into two rooms');
+            })
+            .catch(err => {
+                err.should.equal('You are already in another room.');
+                manager.rooms.size.should.equal(1);
+            });
+    });
+
+    it('should list public rooms with filters', () => {
+        const transport = new EventEmitterTransport();
+        const manager = new RoomManager(transport);
+        const create = (name, settings, _id) => {
+            const host = mockPlayer(_id, name);
+
+            return manager.createRoom(name, host, settings, transport.connect(host));
+        };
+
+        return create('Quiz night', { mode: 'party', player_limit: 2 }, '1')
+            .then(() => create('Card club', { mode: 'classic' }, '2'))
+            .then(() => create('Secret', { privacy: 'private', password: 'shh' }, '3'))
+            .then(() => create('Card sharks', { mode: 'classic' }, '4'))
+            .then(room => {
+                room.addGame(room.host, { name: 'Poker' });
+
+                return room.start(room.host, () => Game);
+            })
+            .then(game => {
+                manager.listRooms().map(r => r.name).should.deep.equal(['Quiz night', 'Card club', 'Card sharks']);
+                manager.listRooms({ mode: 'classic' }).length.should.equal(2);
+                manager.listRooms({ search: 'CARD', game: 'Poker' }).map(r => r.name).should.deep.equal(['Card sharks']);
+                manager.listRooms({ openSeats: 2 }).map(r => r.name).should.deep.equal(['Card club', 'Card sharks']);
+                game.clearTimer();
+            });
+    });
+
+    it('should remove rooms once they have been empty for too long', () => {
+        const transport = new EventEmitterTransport();
+        const manager = new RoomManager(transport, { emptyRoomTimeout: 0 });
+        const host = mockPlayer('1', 'abc');
+        const socket = transport.connect(host);
+
+        return manager.createRoom('Party', host, {}, socket)
+            .then(room => room.addBot(host._id).then(() => manager.leaveRoom(room.id, host, socket)))
+            .then(() => {
+                manager.rooms.size.should.equal(0);
+                host.rooms.should.deep.equal([]);
+
+                return manager.createRoom('Again', host, {}, socket);
+            })
+            .then(room => {
+                manager.get(room.id).should.equal(room);
+            });
+    });
+
+    it('should join a private room from an invite', () => {
+        const transport = new EventEmitterTransport();
+        const manager = new RoomManager(transport);
+        const host = mockPlayer('1', 'abc');
+        const player = mockPlayer('2', 'def');
+
+        return manager.createRoom('Party', host, { privacy: 'private', password: 'secret' }, transport.connect(host))
+            .then(room => room.createInvite('1'))
+            .then(invite => manager.joinByInvite(invite.token, player, transport.connect(player)))
+            .then(room => {
+                room.players.length.should.equal(2);
+                manager.listRooms().length.should.equal(0);
+            });
+    });
+});
@@ -0,0 +1,71 @@
+const should = require('chai').should();
+
+const Scoreboard = require('../Scoreboard');
+const { SCORING } = require('../constants');
+
+const mockRoom = () => ({
+    players: [
+        { _id: '1', username: 'abc' },
+        { _id: '2', username: 'def' },
+        { _id: '3', username: 'ghi' }
+    ]
+});
+
+describe('Scoreboard', () => {
+    it('should rank players by score when a game has no placements', () => {
+        const results = Scoreboard.normalizeResults({ scores: { 1: 5, 2: 9, 3: 5 } });
+
+        results.placements.should.deep.equal([['2'], ['1', '3']]);
+        results.awards.should.deep.equal([]);
+    });
+
+    it('should give placement points and share them between tied players', () => {
+        const scoreboard = new Scoreboard(mockRoom(), { placementPoints: [5, 3, 1] });
+
+        scoreboard.addResults({ name: 'A' }, { placements: [['1', '2'], '3'] })
+            .points.should.deep.equal({ 1: 5, 2: 5, 3: 1 });
+    });
+
+    it('should add awards on top of the game points', () => {
+        const scoreboard = new Scoreboard(mockRoom(), { scoring: SCORING.POINTS });
+
+        scoreboard.addResults({ name: 'A' }, {
+            scores: { 1: 4, 2: 6 },
+            awards: [{ player_id: '1', name: 'Fastest', points: 3 }]
+        }).points.should.deep.equal({ 1: 7, 2: 6 });
+    });
+
+    it('should scale normalized scores to the same range', () => {
+        const scoreboard = new Scoreboard(mockRoom(), { scoring: SCORING.NORMALIZED });
+
+        scoreboard.addResults({ name: 'A' }, { scores: { 1: 1000, 2: 500, 3: 0 } })
+            .points.should.deep.equal({ 1: 100, 2: 50, 3: 0 });
+        scoreboard.addResults({ name: 'B' }, { scores: { 1: 2, 2: 2, 3: 2 } })
+            .points.should.deep.equal({ 1: 100, 2: 100, 3: 100 });
+    });
+
+    it('should total the standings across games', () => {
+        const scoreboard = new Scoreboard(mockRoom());
+        scoreboard.addResults({ name: 'A' }, { placements: ['1', '2', '3'] });
+        scoreboard.addResults({ name: 'B' }, { placements: ['2', '1', '3'] });
+        scoreboard.addResults({ name: 'C' }, { placements: ['3', '2'] });
+
+        scoreboard.standings().map(s => [s.player_id, s.points, s.wins, s.rank]).should.deep.equal([
+            ['2', 24, 1, 1],
+            ['3', 20, 1, 2],
+            ['1', 17, 1, 3]
+        ]);
+        scoreboard.standings()[2].played.should.equal(2);
+        scoreboard.setRules({ scoring: 'DICE' }).should.equal(false);
+    });
+
+    it('should restore the session from JSON', () => {
+        const scoreboard = new Scoreboard(mockRoom());
+        scoreboard.addResults({ name: 'A' }, { placements: ['1', '2'] });
+
+        const restored = new Scoreboard({ players: [] });
+        restored.restore(JSON.parse(JSON.stringify(scoreboard)));
+
+        restored.standings().should.deep.equal(scoreboard.standings());
+    });
+});
@@ -0,0 +1,112 @@
+const should = require('chai').should();
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const Game = require('../Game');
+const Room = require('../Room');
+const { ConsoleSink, FileSink, Logger } = require('../logging');
+const { LOG_LEVEL, MOVE_ERROR } = require('../constants');
+const { EventEmitterTransport } = require('../transports');
+
+const mockPlayer = (_id, username) => ({ _id, username, rooms: [] });
+
+describe('Logger', () => {
+    it('should only record entries at or above its level', () => {
+        const entries = [];
+        const logger = new Logger({ level: LOG_LEVEL.WARN, sinks: [entry => entries.push(entry)] });
+
+        logger.info('ignored');
+        logger.warn('slow_turn', { turn: 2 });
+        logger.setLevel(LOG_LEVEL.DEBUG);
+        logger.debug('verbose');
+
+        entries.map(e => e.event).should.deep.equal(['slow_turn', 'verbose']);
+        entries[0].should.include({ level: LOG_LEVEL.WARN, turn: 2 });
+        should.exist(entries[0].time);
+    });
+
+    it('should add context from child loggers and keep error details', () => {
+        const entries = [];
+        const logger = new Logger({ sinks: [entry => entries.push(entry)] });
+
+        logger.child({ room_id: 'abc' }).child({ game: 'test' }).error('turn_error', { error: new Error('Oops') });
+
+        entries[0].should.include({ room_id: 'abc', game: 'test', event: 'turn_error' });
+        entries[0].error.message.should.equal('Oops');
+    });
+
+    it('should write JSON lines to a stream and a file', () => {
+        const lines = [];
+        const file = path.join(os.tmpdir(), `gamenight-log-${process.pid}.log`);
+        const fileSink = new FileSink(file);
+        const logger = new Logger({ sinks: [new ConsoleSink({ write: line => lines.push(line) }), fileSink] });
+
+        logger.info('player_join', { player_id: '1' });
+
+        JSON.parse(lines[0]).player_id.should.equal('1');
+
+        return fileSink.close()
+            .then(() => {
+                const written = fs.readFileSync(file, 'utf8');
+                fs.unlinkSync(file);
+
+                written.should.equal(lines[0]);
+            });
+    });
+
+    it('should stop writing to a file it can\'t open without crashing', () => {
+        const fileSink = new FileSink(path.join(os.tmpdir(), `gamenight-missing-${process.pid}`, 'game.log'));
+        const logger = new Logger({ sinks: [fileSink] });
+
+        return new Promise(resolve => fileSink.stream.once('error', resolve))
+            .then(() => {
+                logger.info('player_join', { player_id: '1' });
+                fileSink.error.code.should.equal('ENOENT');
+
+                return fileSink.close();
+            });
+    });
+
+    it('should record what happens in a room and its game', () => {
+        const entries = [];
+        const transport = new EventEmitterTransport();
+        const room = new Room('Mock', { _id: '1' }, {}, transport);
+        room.setLogger(new Logger({ level: LOG_LEVEL.INFO, sinks: [entry => entries.push(entry)] }));
+        room.addPlayer(mockPlayer('1', 'abc'), transport.connect(mockPlayer('1', 'abc')));
+        room.addPlayer(mockPlayer('2', 'def'), transport.connect(mockPlayer('2', 'def')));
+
+        return room.addGame('1', { name: 'Test' })
+            .then(() => room.start('1', () => Game))
+            .then(game => {
+                game.handleMove = payload => Promise.resolve(payload);
+                game.readyUp('1');
+                game.readyUp('2');
+
+                return game.playerMove(game.findPlayer('2'), { type: 'guess', n: 1 })
+                    .catch(() => game.playerMove(game.findPlayer('1'), { type: 'guess', n: 1 }));
+            })
+            .then(() => room.removePlayer(mockPlayer('1', 'abc')))
+            .then(() => {
+                room.game.clearTimer();
+
+                entries.map(e => e.event).should.deep.equal([
+                    'player_join',
+                    'player_join',
+                    'game_load',
+                    'game_start',
+                    'move_rejected',
+                    'move',
+                    'player_leave',
+                    'host_change'
+                ]);
+                entries.every(e => e.room_id === room.id).should.equal(true);
+                entries[4].should.include({ game: 'Test', player_id: '2' });
+                entries[4].reason.code.should.equal(MOVE_ERROR.NOT_ALLOWED);
+                // What was sent in a move stays out of the logs
+                entries[4].should.not.have.property('move');
+                entries[5].should.include({ player_id: '1', type: 'guess', round: 1 });
+                entries[5].should.not.have.property('payload');
+            });
+    });
+});
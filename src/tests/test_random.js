@@ -0,0 +1,75 @@
+const should = require('chai').should();
+
+const createRandom = require('../helpers/random');
+
+describe('random', () => {
+    it('should generate the same sequence from the same seed', () => {
+        const a = createRandom('abc');
+        const b = createRandom('abc');
+
+        [a.next(), a.next(), a.next()].should.deep.equal([b.next(), b.next(), b.next()]);
+        a.draws.should.equal(3);
+    });
+
+    it('should resume a sequence from a saved state', () => {
+        const a = createRandom(1);
+        a.next();
+        const b = createRandom(1);
+        b.setState(a.getState());
+
+        b.next().should.equal(a.next());
+    });
+
+    it('should roll dice from notation', () => {
+        const random = createRandom(1);
+        const result = random.roll('3d8+2');
+
+        result.rolls.length.should.equal(3);
+        result.rolls.forEach(r => r.should.be.within(1, 8));
+        result.modifier.should.equal(2);
+        result.total.should.equal(result.rolls.reduce((sum, r) => sum + r, 2));
+
+        (() => random.roll('three dice')).should.throw('Invalid dice notation: three dice');
+        (() => random.roll('d0')).should.throw('Invalid number of sides: 0');
+        (() => random.roll('0d0')).should.throw('Invalid number of sides: 0');
+        (() => random.rollDie(0)).should.throw('Invalid number of sides: 0');
+        (() => random.rollDie(-6)).should.throw('Invalid number of sides: -6');
+    });
+
+    it('should never pick an item with no weight', () => {
+        const random = createRandom(1);
+        for(let i = 0; i < 50; i++) {
+            random.weightedPick(['a', 'b', 'c'], [1, 0, 3]).should.not.equal('b');
+        }
+    });
+
+    it('should refuse negative weights or no weight at all', () => {
+        const random = createRandom(1);
+
+        (() => random.weightedPick(['a', 'b'], [2, -1])).should.throw('Invalid weight: -1');
+        (() => random.weightedPick(['a', 'b'], [0, 0])).should.throw('Invalid total weight: 0');
+        (() => random.weightedPick(['a', 'b'], () => 0)).should.throw('Invalid total weight: 0');
+        (() => random.weightedPick([], [])).should.throw('Invalid total weight: 0');
+        random.draws.should.equal(0);
+    });
+
+    it('should deal cards to each hand', () => {
+        const random = createRandom(1);
+        const deck = Array.from({ length: 52 }, (v, i) => i);
+        const dealt = random.deal(deck, 4, 5);
+
+        dealt.hands.length.should.equal(4);
+        dealt.hands.forEach(hand => hand.length.should.equal(5));
+        dealt.deck.length.should.equal(32);
+    });
+
+    it('should refuse to deal to no hands or a bad number of cards', () => {
+        const random = createRandom(1);
+        const deck = Array.from({ length: 52 }, (v, i) => i);
+
+        (() => random.deal(deck, 0)).should.throw('Invalid number of hands: 0');
+        (() => random.deal(deck, 2.5)).should.throw('Invalid number of hands: 2.5');
+        (() => random.deal(deck, 4, -1)).should.throw('Invalid cards per hand: -1');
+        random.draws.should.equal(0);
+    });
+});
@@ -0,0 +1,89 @@
+const should = require('chai').should();
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { FileStorage, MemoryStorage } = require('../storage');
+
+describe('FileStorage', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gamenight-storage-'));
+    });
+
+    afterEach(() => {
+        fs.readdirSync(dir).forEach(f => fs.unlinkSync(path.join(dir, f)));
+        fs.rmdirSync(dir);
+    });
+
+    it('should save, list, load and remove snapshots', () => {
+        const storage = new FileStorage(dir);
+
+        return storage.save('room-1', { version: 2, name: 'Mock' })
+            .then(() => storage.list())
+            .then(ids => {
+                ids.should.deep.equal(['room-1']);
+
+                return storage.load('room-1');
+            })
+            .then(snapshot => {
+                snapshot.should.deep.equal({ version: 2, name: 'Mock' });
+
+                return storage.remove('room-1');
+            })
+            .then(() => storage.list())
+            .then(ids => {
+                ids.length.should.equal(0);
+            });
+    });
+
+    it('should resolve null for a room with no snapshot', () => {
+        const storage = new FileStorage(dir);
+
+        return storage.load('missing')
+            .then(snapshot => {
+                should.equal(snapshot, null);
+
+                return storage.remove('missing');
+            });
+    });
+
+    it('should reject a corrupt snapshot and IDs outside the directory', () => {
+        const storage = new FileStorage(dir);
+        fs.writeFileSync(path.join(dir, 'broken.json'), '{"version": 2,');
+
+        return storage.load('broken')
+            .then(() => {
+                throw new Error('Storage loaded a corrupt snapshot');
+            })
+            .catch(err => {
+                err.should.be.an.instanceof(SyntaxError);
+
+                return storage.load('../escape');
+            })
+            .then(() => {
+                throw new Error('Storage loaded a file outside its directory');
+            })
+            .catch(err => {
+                err.message.should.equal('Invalid room ID: ../escape');
+            });
+    });
+});
+
+describe('MemoryStorage', () => {
+    it('should keep copies of snapshots rather than the objects saved', () => {
+        const storage = new MemoryStorage();
+        const snapshot = { version: 2, players: [] };
+
+        return storage.save('room-1', snapshot)
+            .then(() => {
+                snapshot.players.push('1');
+
+                return storage.load('room-1');
+            })
+            .then(loaded => {
+                loaded.players.length.should.equal(0);
+            });
+    });
+});
@@ -0,0 +1,75 @@
+const EventEmitter = require('events');
+const should = require('chai').should();
+
+const Room = require('../Room');
+const { EventEmitterTransport, SocketIOTransport, WsTransport } = require('../transports');
+
+const mockPlayer = (_id, username) => ({ _id, username, rooms: [] });
+
+describe('transports', () => {
+    it('should run a room over in-process connections', () => {
+        const transport = new EventEmitterTransport();
+        const room = new Room('Mock', { _id: '1' }, {}, transport);
+        const player1 = mockPlayer('1', 'abc');
+        const player2 = mockPlayer('2', 'def');
+        const connection1 = transport.connect(player1);
+        const connection2 = transport.connect(player2);
+
+        const joined = [];
+        connection1.on('player_join', payload => joined.push(payload.player._id));
+
+        return room.addPlayer(player1, connection1)
+            .then(() => room.addPlayer(player2, connection2))
+            .then(() => room.find_socket('2'))
+            .then(connection => {
+                connection.should.equal(connection2);
+                joined.should.deep.equal(['2']);
+
+                transport.disconnect(connection2);
+                return transport.members(room.ioRoom);
+            })
+            .then(members => {
+                members.should.deep.equal([connection1]);
+            });
+    });
+
+    it('should send JSON messages to open WebSocket connections', () => {
+        const transport = new WsTransport();
+        const mockWs = readyState => Object.assign(new EventEmitter(), {
+            readyState,
+            sent: [],
+            send(data) {
+                this.sent.push(JSON.parse(data));
+            }
+        });
+        const open = transport.accept(mockWs(1), mockPlayer('1', 'abc'));
+        const closing = transport.accept(mockWs(2), mockPlayer('2', 'def'));
+        transport.join(open, 'room');
+        transport.join(closing, 'room');
+
+        transport.broadcast('room', 'game/turn', { turn: 1 });
+
+        open.sent.should.deep.equal([{ event: 'game/turn', payload: { turn: 1 } }]);
+        closing.sent.length.should.equal(0);
+
+        open.emit('close');
+        return transport.members('room')
+            .then(members => {
+                members.should.deep.equal([closing]);
+            });
+    });
+
+    it('should find the sockets in a room on newer Socket.IO servers', () => {
+        const socket = { id: 'a', user: { _id: '1' } };
+        const nsp = {
+            adapter: { rooms: new Map([['room', new Set(['a', 'gone'])]]) },
+            sockets: new Map([['a', socket]])
+        };
+        const transport = new SocketIOTransport({ of: () => nsp });
+
+        return transport.members('room')
+            .then(members => {
+                members.should.deep.equal([socket]);
+            });
+    });
+});
@@ -0,0 +1,67 @@
+const EventEmitter = require('events');
+
+/**
+ * Transport for running rooms in the same process as their
+ * clients, i.e. local multiplayer or bots. Each connection
+ * is an EventEmitter that events are emitted on.
+ */
+class EventEmitterTransport {
+    constructor() {
+        this.rooms = new Map();
+        this.nextId = 1;
+    }
+
+    /**
+     * Create a new connection
+     * @param {object} user The player object the connection belongs to
+     * @returns {EventEmitter} Listen on it for events sent to the user
+     */
+    connect(user) {
+        const connection = new EventEmitter();
+        connection.id = `connection_${this.nextId++}`;
+        connection.user = user;
+
+        return connection;
+    }
+
+    /**
+     * Stop sending events to a connection
+     * @param {EventEmitter} connection
+     */
+    disconnect(connection) {
+        this.rooms.forEach((connections, room) => this.leave(connection, room));
+    }
+
+    broadcast(room, event, payload) {
+        (this.rooms.get(room) || []).forEach(connection => this.send(connection, event, payload));
+    }
+
+    send(connection, event, payload) {
+        connection.emit(event, payload);
+    }
+
+    join(connection, room) {
+        if(!this.rooms.has(room)) {
+            this.rooms.set(room, new Set());
+        }
+        this.rooms.get(room).add(connection);
+    }
+
+    leave(connection, room) {
+        const connections = this.rooms.get(room);
+        if(!connections) {
+            return;
+        }
+
+        connections.delete(connection);
+        if(connections.size === 0) {
+            this.rooms.delete(room);
+        }
+    }
+
+    members(room) {
+        return Promise.resolve(Array.from(this.rooms.get(room) || []));
+    }
+}
+
+module.exports = EventEmitterTransport;
@@ -0,0 +1,59 @@
+/**
+ * Transport for a Socket.IO server. Supports Socket.IO 2, 3 and 4.
+ */
+class SocketIOTransport {
+    /**
+     * Create a new transport
+     * @param {Server} io The Socket.IO Server
+     */
+    constructor(io) {
+        this.io = io;
+    }
+
+    broadcast(room, event, payload) {
+        this.io.to(room).emit(event, payload);
+    }
+
+    send(socket, event, payload) {
+        socket.emit(event, payload);
+    }
+
+    join(socket, room) {
+        socket.join(room);
+    }
+
+    leave(socket, room) {
+        socket.leave(room);
+    }
+
+    /**
+     * Find the sockets in a room
+     * @param {string} room
+     * @returns {Promise} Resolves an array of sockets
+     */
+    members(room) {
+        const nsp = this.io.of('/');
+
+        if(nsp.adapter && nsp.adapter.rooms instanceof Map) {
+            // Socket.IO 3 and later keep rooms as sets of socket IDs
+            const ids = nsp.adapter.rooms.get(room) || new Set();
+
+            return Promise.resolve(Array.from(ids)
+                .map(id => nsp.sockets.get(id))
+                .filter(socket => socket));
+        }
+
+        // Socket.IO 2
+        return new Promise((resolve, reject) => {
+            nsp.in(room).clients((err, clients) => {
+                if(err) {
+                    return reject(err);
+                }
+
+                resolve(clients.map(id => this.io.sockets.connected[id]));
+            });
+        });
+    }
+}
+
+module.exports = SocketIOTransport;
@@ -0,0 +1,62 @@
+// The WebSocket readyState of an open connection
+const OPEN = 1;
+
+/**
+ * Transport for raw WebSocket connections from the `ws` package.
+ * Messages are sent as JSON: { event, payload }
+ */
+class WsTransport {
+    constructor() {
+        this.rooms = new Map();
+    }
+
+    /**
+     * Start tracking a new connection
+     * @param {WebSocket} ws
+     * @param {object} user The player object the connection belongs to
+     * @returns {WebSocket}
+     */
+    accept(ws, user) {
+        ws.user = user;
+        ws.on('close', () => {
+            this.rooms.forEach((sockets, room) => this.leave(ws, room));
+        });
+
+        return ws;
+    }
+
+    broadcast(room, event, payload) {
+        (this.rooms.get(room) || []).forEach(ws => this.send(ws, event, payload));
+    }
+
+    send(ws, event, payload) {
+        if(ws.readyState === OPEN) {
+            ws.send(JSON.stringify({ event, payload }));
+        }
+    }
+
+    join(ws, room) {
+        if(!this.rooms.has(room)) {
+            this.rooms.set(room, new Set());
+        }
+        this.rooms.get(room).add(ws);
+    }
+
+    leave(ws, room) {
+        const sockets = this.rooms.get(room);
+        if(!sockets) {
+            return;
+        }
+
+        sockets.delete(ws);
+        if(sockets.size === 0) {
+            this.rooms.delete(room);
+        }
+    }
+
+    members(room) {
+        return Promise.resolve(Array.from(this.rooms.get(room) || []));
+    }
+}
+
+module.exports = WsTransport;
@@ -0,0 +1,18 @@
+const EventEmitterTransport = require('./EventEmitterTransport');
+const SocketIOTransport = require('./SocketIOTransport');
+const WsTransport = require('./WsTransport');
+
+/**
+ * Use a transport as given, or wrap a Socket.IO server in one.
+ * A transport implements broadcast, send, join, leave and members.
+ * @param {object} io A transport or a Socket.IO Server
+ */
+const createTransport = io => {
+    if(io && typeof io.members === 'function' && typeof io.send === 'function') {
+        return io;
+    }
+
+    return new SocketIOTransport(io);
+};
+
+module.exports = { createTransport, EventEmitterTransport, SocketIOTransport, WsTransport };